@@ -0,0 +1,45 @@
+// scripts/validate-chunks.js
+// Batch fairness check: generates seeded chunks at fixed speeds, as the game does (repair on),
+// and reports every chunk the reachability checker couldn't get through as generated, and
+// separately those still unwinnable after every repair step. Either kind fails the batch.
+//
+//   npm run validate:chunks -- [seeds=50] [chunks=40] [pits]
+
+import { createRun, spawnChunk } from "../src/sim.js";
+import { BASE_PARAMS, BASE_SPEED, MAX_SPEED, WIDTH } from "../src/constants.js";
+
+const SEEDS = Number(process.argv[2]) || 50;
+const CHUNKS = Number(process.argv[3]) || 40;
+const PITS = process.argv.includes("pits");
+const SPEEDS = [BASE_SPEED, 450, 520, 650, MAX_SPEED];
+
+const t0 = performance.now();
+let total = 0;
+const bad = [];
+
+for (const speed of SPEEDS) {
+  let badHere = 0, stuckHere = 0;
+  for (let seed = 1; seed <= SEEDS; seed++) {
+    const run = createRun({ ...BASE_PARAMS, pits: PITS }, seed, { speed });
+    for (let i = 0; i < CHUNKS; i++) {
+      // keep the camera where it would be when this chunk gets generated in a real run
+      run.cam_x = run.next_spawn_x - WIDTH * 2.2;
+      spawnChunk(run);
+    }
+    total += CHUNKS;
+    for (const u of run.unfair) bad.push({ seed, ...u });
+    badHere += run.unfair.length;
+    stuckHere += run.unfair.filter((u) => !u.repaired).length;
+  }
+  console.log(`speed ${String(speed).padStart(4)}: ${badHere} unwinnable, ${stuckHere} after repair / ${SEEDS * CHUNKS} chunks`);
+}
+
+const stuck = bad.filter((u) => !u.repaired);
+for (const b of bad.slice(0, 20)) {
+  console.log(`  seed ${b.seed} @ x=${b.x} (speed ${b.speed})${b.repaired ? "" : " -- still unwinnable after repair"}`);
+}
+if (bad.length > 20) console.log(`  ...and ${bad.length - 20} more`);
+
+const secs = ((performance.now() - t0) / 1000).toFixed(1);
+console.log(`${bad.length} unwinnable (${stuck.length} after repair) of ${total} chunks in ${secs}s`);
+process.exitCode = bad.length ? 1 : 0;
@@ -0,0 +1,39 @@
+// src/colorblind.js
+// Colorblind-safe palettes: cosmetic colors are daltonized for the chosen deficiency, and
+// hazards / coins get a fixed pair of hues that stay apart for it. DOM-free.
+
+// simulation matrices (Vienot et al. 1999, applied in sRGB like most daltonize filters) and
+// the hazard / coin pair for each mode
+export const COLORBLIND_MODES = {
+  protanopia: {
+    name: "Protanopia",
+    sim: [[0.567, 0.433, 0], [0.558, 0.442, 0], [0, 0.242, 0.758]],
+    hazard: [86, 180, 233],   // sky blue against yellow: the axis red-green deficiencies keep
+    coin: [240, 228, 66],
+  },
+  deuteranopia: {
+    name: "Deuteranopia",
+    sim: [[0.625, 0.375, 0], [0.7, 0.3, 0], [0, 0.3, 0.7]],
+    hazard: [86, 180, 233],
+    coin: [240, 228, 66],
+  },
+  tritanopia: {
+    name: "Tritanopia",
+    sim: [[0.95, 0.05, 0], [0, 0.433, 0.567], [0, 0.475, 0.525]],
+    hazard: [230, 80, 40],    // vermillion against pale cyan
+    coin: [170, 235, 255],
+  },
+};
+
+const mul = (m, c) => m.map((row) => row[0] * c[0] + row[1] * c[1] + row[2] * c[2]);
+
+// moves what the deficiency can't see into channels it can: the lost difference (error) is
+// added back as red -> green/blue shifts
+export function daltonize(c, mode) {
+  const m = COLORBLIND_MODES[mode];
+  if (!m) return c;
+  const seen = mul(m.sim, c);
+  const err = [c[0] - seen[0], c[1] - seen[1], c[2] - seen[2]];
+  const shift = [0, 0.7 * err[0] + err[1], 0.7 * err[0] + err[2]];
+  return c.map((v, i) => Math.round(Math.min(255, Math.max(0, v + shift[i]))));
+}
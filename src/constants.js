@@ -0,0 +1,118 @@
+// src/constants.js
+// Gameplay tuning shared by the simulation, the fairness checker and the renderer.
+
+// -------------------------
+// Game constants
+// -------------------------
+export const GAME_W = 960, GAME_H = 540;
+export const WIDTH = GAME_W, HEIGHT = GAME_H;
+// widest the view gets with the wide layout (the sim spawns ~2.2 screens ahead, so this stays
+// well inside what exists)
+export const MAX_VIEW_W = 1280;
+
+export const GROUND_H = 80;
+export const GROUND_Y = HEIGHT - GROUND_H;
+
+export const JUMP_CUT_MULT = 0.55;
+
+export const BASE_SPEED = 320.0;
+export const MAX_SPEED = 820.0;
+export const SPEED_RAMP = 7.0;
+
+export const GRAVITY = 2100.0;
+export const SCORE_PER_PX = 0.02;
+export const BASE_JUMP_V = 880.0;
+export const MAX_FALL_V = 1500.0;
+// standing on a platform the sweep drops the player a frame or two at a time (the 1px floor), so
+// a "land" only counts after at least this long in the air
+export const LAND_MIN_AIR_T = 0.05;
+
+export const BASE_COYOTE = 0.10;
+export const BASE_JUMP_BUF = 0.12;
+
+export const MIN_GAP = 150;
+export const MAX_GAP = 340;
+
+export const PLATFORM_MIN_W = 160;
+export const PLATFORM_MAX_W = 380;
+export const PLATFORM_MIN_H = 18;
+export const PLATFORM_MAX_H = 28;
+
+export const HEIGHT_LEVELS = [0, 70, 120, 170];
+
+export const MIN_REACTION_T = 0.60;
+export const MAX_REACTION_T = 1.00;
+export const MIN_HAZARD_SEP_T = 0.70;
+
+export const HAZARD_CHANCE = 0.52;
+export const COIN_CHANCE = 0.62;
+
+// pit mode: some gaps lose their ground
+export const PIT_CHANCE = 0.35;
+export const PIT_MAX_T = 0.55;   // widest pit, in seconds of running at the current speed
+export const PIT_EDGE = 24;      // ground left on each side of a pit
+export const PIT_SINK = 4;       // px below GROUND_Y inside a pit before there's no way back
+
+// power-ups: pickups that spawnChunk floats above some platforms
+export const POWERUP_CHANCE = 0.09;
+export const POWERUP_KINDS = ["shield", "double_jump", "slowmo", "magnet"];
+export const POWERUP_SIZE = 26;
+export const POWERUP_BASE_T = { shield: 8, double_jump: 8, slowmo: 4, magnet: 6 };   // seconds
+export const POWERUP_T_STEP = { shield: 1.5, double_jump: 1.5, slowmo: 0.75, magnet: 1.2 }; // per upgrade level
+export const SLOWMO_SCALE = 0.6;   // whole simulation runs at this rate, so jumps still line up
+export const MAGNET_BOOST_PX = 180;
+
+// obstacle families beyond static spikes, each unlocked once the run reaches a speed
+export const CRUMBLE_MIN_SPEED = 380;
+export const CRUMBLE_CHANCE = 0.16;
+export const CRUMBLE_DELAY = 0.35;       // s standing on it before it drops
+export const MOVING_MIN_SPEED = 460;
+export const MOVING_CHANCE = 0.18;
+export const MOVING_AMP = [26, 48];      // px, vertical bob
+export const MOVING_FREQ = [1.2, 2.2];   // rad/s
+export const BAR_MIN_SPEED = 420;
+export const BAR_H = 14;
+export const BAR_CLEAR = 16;             // headroom under a bar while grounded
+export const BAR_MAX_DROP = 100;         // px; no bar on a platform further below the last one (you drop in onto it)
+export const CEILING_MIN_SPEED = 520;
+export const CEILING_CLEAR = 150;        // from the platform top to the spike tips
+export const SAW_MIN_SPEED = 600;
+export const SAW_R = 22;
+export const SAW_TRACK = [60, 140];      // px of track
+export const SAW_FREQ = [1.4, 2.4];      // rad/s
+
+// zones: every ZONE_SCORE points of distance the run moves into the next zone (wrapping
+// round after the last). Each scales the hazard / coin chances and gravity and limits which
+// hazard kinds can spawn (on top of the speed unlocks above).
+export const ZONE_SCORE = 1500;
+export const ZONES = [
+  { id: "city",   name: "Night City", hazardMul: 1.0,  coinMul: 1.0,  gravityMul: 1.0,  hazards: ["spike", "bar", "ceiling", "saw"] },
+  { id: "dunes",  name: "Dunes",      hazardMul: 0.9,  coinMul: 1.3,  gravityMul: 1.0,  hazards: ["spike", "saw"] },
+  { id: "caves",  name: "Caverns",    hazardMul: 1.1,  coinMul: 0.9,  gravityMul: 1.0,  hazards: ["spike", "ceiling", "bar"] },
+  { id: "moon",   name: "Moon Base",  hazardMul: 1.15, coinMul: 1.1,  gravityMul: 0.8,  hazards: ["spike", "saw", "bar"] },
+  { id: "storm",  name: "Storm",      hazardMul: 1.0,  coinMul: 1.2,  gravityMul: 1.08, hazards: ["spike", "ceiling", "saw"] },
+];
+
+// platform sides: small lips are climbed, anything taller is a wall
+export const STEP_UP = 26;
+export const WALL_KILL_SPEED = 620;  // at or above this a wall is fatal
+export const WALL_KNOCKBACK = 40;    // px the player is shoved back by a survivable hit
+export const WALL_SPEED_KEEP = 0.7;
+export const WALL_COIN_COST = 0.25;  // share of the run's coins dropped on a hit
+
+export const PLAYER_X_OFFSET = 160;
+export const PLAYER_W = 44, PLAYER_H = 58;
+
+// params with no upgrades bought
+export const BASE_PARAMS = {
+  jumpV: BASE_JUMP_V, coyoteT: BASE_COYOTE, coinMul: 1, magnetPx: 0, pits: false, powerupT: POWERUP_BASE_T,
+  gravityMul: 1, hazardMul: 1, noMagnet: false, scoreMul: 1,
+};
+
+// daily challenge modifiers; each one's params are laid over the player's run params
+export const DAILY_MODS = [
+  { id: "low_gravity",    name: "Low gravity",    params: { gravityMul: 0.8 } },
+  { id: "no_magnet",      name: "No magnet",      params: { magnetPx: 0, noMagnet: true } },
+  { id: "double_hazards", name: "Double hazards", params: { hazardMul: 2 } },
+  { id: "pits",           name: "Pits",           params: { pits: true } },
+];
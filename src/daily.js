@@ -0,0 +1,34 @@
+// src/daily.js
+// Daily challenge: every calendar day (in UTC) gets one seed and one modifier set, the same
+// for everybody playing that day whatever their time zone. DOM-free, like sim.js.
+
+import { makeLCG, mixSeed, parseSeed, rngi } from "./util.js";
+import { DAILY_MODS } from "./constants.js";
+
+// "YYYY-MM-DD" of the UTC date
+export function dailyKey(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+}
+
+// key of the day before key
+export function prevDailyKey(key) {
+  const [y, m, d] = key.split("-").map(Number);
+  return dailyKey(new Date(Date.UTC(y, m - 1, d - 1)));
+}
+
+export const dailySeed = (key) => parseSeed(`daily-${key}`);
+
+// one or two modifiers, picked from the day's seed
+export function dailyMods(key) {
+  const rng = makeLCG(mixSeed(dailySeed(key) ^ 0x5bd1e995));
+  const pool = DAILY_MODS.slice();
+  const mods = [];
+  const n = rng() < 0.5 ? 1 : 2;
+  for (let i = 0; i < n; i++) mods.push(pool.splice(rngi(rng, 0, pool.length - 1), 1)[0]);
+  return mods;
+}
+
+export function applyMods(params, mods) {
+  return mods.reduce((p, m) => ({ ...p, ...m.params }), params);
+}
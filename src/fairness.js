@@ -0,0 +1,110 @@
+// src/fairness.js
+// Reachability checker for generated chunks.
+//
+// Instead of trusting the spacing heuristics in spawnChunk, this walks every way the player
+// can move through a stretch of level (jump now or not, cut the jump now or not) with the
+// same gravity / jump / sweep rules as sim.step, using the base jump_v. The set of surviving
+// player states at a given world x is a "frontier"; a chunk is winnable when the frontier
+// that enters it still has a survivor at its far edge.
+//
+// The world is taken as static, so moving things are judged pessimistically: one-way
+// (moving / crumbling) platforms are left out entirely and a saw counts as its whole track.
+
+import { clamp, rect, colliderect, collideVerticalSweep, collideHorizontal, overPit } from "./util.js";
+import {
+  GROUND_Y, GRAVITY, BASE_JUMP_V, JUMP_CUT_MULT, MAX_FALL_V, PLAYER_X_OFFSET, PLAYER_W, PLAYER_H, PIT_SINK, STEP_UP,
+} from "./constants.js";
+
+// same tick as the fixed-step simulation in main.js
+export const FAIR_DT = 1 / 120;
+
+// player standing on the ground at world x (left edge of the player rect)
+export function startFrontier(x = PLAYER_X_OFFSET) {
+  return { x, states: [{ y: GROUND_Y - PLAYER_H, vy: 0.0, ground: true, cut: false }] };
+}
+
+// Airborne states within a few px / px/s of each other are merged. That keeps the frontier to
+// a couple hundred states; a line that only exists within those few pixels needs frame-perfect
+// input, so it's fine for it to count as unwinnable.
+const MERGE_Y = 4, MERGE_VY = 80;
+
+function stateKey(s) {
+  if (s.ground) return Math.round(s.y) * 2;
+  return ((Math.round(s.y / MERGE_Y) * 1024 + Math.round(s.vy / MERGE_VY) + 512) * 2 + (s.cut ? 1 : 0)) * 2 + 1;
+}
+
+// one FAIR_DT tick of the step() physics; returns null if the player dies -- or hits a wall,
+// since a fair chunk never forces that
+function tickState(s, action, x, dx, jumpV, gravity, platforms, hazards, pits, player) {
+  let vy = s.vy;
+  let cut = s.cut;
+
+  if (action === "jump") { vy = -jumpV; cut = false; }
+  vy = clamp(vy + gravity * FAIR_DT, -5000.0, MAX_FALL_V);
+  if (action === "cut" && vy < 0) { vy *= JUMP_CUT_MULT; cut = true; }
+
+  player.x = Math.floor(x);
+  player.y = Math.floor(s.y);
+
+  let py = s.y;
+  const side = collideHorizontal(player, Math.floor(x - dx), platforms, STEP_UP);
+  if (side && side.wall) return null;
+  if (side && side.stepped) py = player.y;
+
+  const sweep = collideVerticalSweep(player, py, vy * FAIR_DT, platforms);
+  let y = sweep.pyFloat;
+  let ground = false;
+
+  const inPit = pits.length > 0 && overPit(player, pits);
+  if (inPit && player.y + player.h > GROUND_Y + PIT_SINK) return null;
+
+  if (!inPit && player.y + player.h >= GROUND_Y) {
+    if (vy > 0) {
+      player.y = GROUND_Y - player.h;
+      y = player.y;
+      vy = 0.0;
+      ground = true;
+    }
+  } else if (sweep.landed) {
+    vy = 0.0;
+    ground = true;
+  }
+
+  for (const h of hazards) if (colliderect(player, h)) return null;
+  return { y, vy, ground, cut: ground ? false : cut };
+}
+
+// Pushes the frontier forward to world x toX through world = { platforms, hazards, pits } at a
+// constant speed and gravity. An empty states list means nothing gets through.
+export function advanceFrontier(frontier, toX, speed, world, jumpV = BASE_JUMP_V, gravity = GRAVITY) {
+  const near = (r) => r.x + r.w >= frontier.x - PLAYER_W && r.x <= toX + PLAYER_W;
+  const platforms = world.platforms.filter((p) => !p.oneWay && near(p));
+  const hazards = world.hazards.map((h) => h.bounds || h).filter(near);
+  const pits = (world.pits || []).filter(near);
+  const player = rect(0, 0, PLAYER_W, PLAYER_H);
+  const dx = speed * FAIR_DT;
+
+  let x = frontier.x;
+  let states = frontier.states;
+
+  while (x < toX && states.length) {
+    const next = new Map();
+    const push = (s, action) => {
+      const n = tickState(s, action, x, dx, jumpV, gravity, platforms, hazards, pits, player);
+      if (!n) return;
+      const k = stateKey(n);
+      if (!next.has(k)) next.set(k, n);
+    };
+
+    for (const s of states) {
+      push(s, "none");
+      if (s.ground) push(s, "jump");
+      else if (s.vy < 0 && !s.cut) push(s, "cut");
+    }
+
+    states = [...next.values()];
+    x += dx;
+  }
+
+  return { x, states };
+}
@@ -1,4 +1,27 @@
 // src/main.js
+import {
+  TAU, clamp, lerp, smoothstep, randf, randi, makeLCG, randomSeed, parseSeed, percentile,
+  rect, copyRect, centerx,
+} from "./util.js";
+import {
+  GAME_W, GAME_H, MAX_VIEW_W, WIDTH, HEIGHT, GROUND_H, GROUND_Y, BASE_JUMP_V, BASE_COYOTE, BASE_SPEED, MAX_SPEED, BASE_PARAMS,
+  POWERUP_KINDS, POWERUP_BASE_T, POWERUP_T_STEP, ZONES,
+} from "./constants.js";
+import { createRun, step } from "./sim.js";
+import { dailyKey, prevDailyKey, dailySeed, dailyMods, applyMods } from "./daily.js";
+import { COLORBLIND_MODES, daltonize } from "./colorblind.js";
+import {
+  PARTICLE_QUALITY, SHAPE_SQUARE, SHAPE_SPARK, SHAPE_STREAK,
+  createParticles, clearParticles, emitParticles, updateParticles, particleColor, particleShape,
+} from "./particles.js";
+import { STEPS_PER_BAR, midiHz, musicIntensity, musicNotes, musicTempo, streakSemis } from "./music.js";
+import { createWebGLRenderer } from "./webgl.js";
+import { SCALE_MODES, fitView, toView } from "./viewport.js";
+import {
+  SAVE_VERSION, HISTORY_MAX, backupKeys, corruptKey, normalizeSave, writeBackup, loadSave as loadSaveFrom,
+  saveToCode, saveFromCode,
+} from "./save.js";
+
 console.log("main.js loaded");
 
 const canvas = document.getElementById("c");
@@ -27,36 +50,45 @@ window.addEventListener("error", (e) => {
   "use strict";
 
   // -------------------------
-  // Constants + helpers
+  // Run seeds (shareable, replayable layouts)
   // -------------------------
-  const GAME_W = 960, GAME_H = 540;
-  const WIDTH = GAME_W, HEIGHT = GAME_H;
-
-  const clamp = (v, a, b) => (v < a ? a : v > b ? b : v);
-  const lerp = (a, b, t) => a + (b - a) * t;
-  const smoothstep = (t) => t * t * (3 - 2 * t);
-  const randf = (a, b) => a + Math.random() * (b - a);
-  const randi = (a, b) => a + Math.floor(Math.random() * (b - a + 1));
-  const TAU = Math.PI * 2;
-
-  function makeLCG(seed = 1) {
-    let s = seed >>> 0;
-    return () => {
-      s = (1664525 * s + 1013904223) >>> 0;
-      return s / 0x100000000;
-    };
+  function seedFromURL() {
+    try { return parseSeed(new URLSearchParams(window.location.search).get("seed")); } catch (_) { return null; }
   }
 
+  // null = fresh random seed every run
+  let fixedSeed = seedFromURL();
+  const nextRunSeed = () => (fixedSeed !== null ? fixedSeed : randomSeed());
+
   // -------------------------
-  // Canvas + view offsets + HiDPI
+  // Canvas + view scaling + HiDPI
   // -------------------------
+  // The view is VIEW_W x GAME_H game px, scaled by VIEW_SCALE and placed at VIEW_OX / VIEW_OY
+  // (CSS px) inside the window's safe area (see viewport.js). The run is drawn across the whole
+  // view; menus keep their GAME_W layout, centered in it at STAGE_X.
   const canvas = document.getElementById("c");
   if (!canvas) throw new Error("Missing <canvas id='c'></canvas> in HTML.");
-  const ctx = canvas.getContext("2d");
+  let ctx = canvas.getContext("2d");   // swapped for an offscreen one while sprites are drawn
 
   let VIEW_OX = 0, VIEW_OY = 0;
+  let VIEW_SCALE = 1, VIEW_W = GAME_W;
+  let STAGE_X = 0;                     // set per frame: 0 for the run, centered for menus
   let WIN_W = 0, WIN_H = 0;
   let DPR = 1;
+  let PIXEL_RATIO = 1;                 // device px per game px
+  let renderer = null;   // picked once the drawing code is up (see Renderers)
+
+  // env(safe-area-inset-*) read back off a hidden probe (index.html asks for viewport-fit=cover)
+  const safeProbe = document.createElement("div");
+  safeProbe.style.cssText = "position:fixed;visibility:hidden;pointer-events:none;" +
+    "padding:env(safe-area-inset-top) env(safe-area-inset-right) env(safe-area-inset-bottom) env(safe-area-inset-left)";
+  document.body.appendChild(safeProbe);
+
+  function safeInsets() {
+    const st = window.getComputedStyle(safeProbe);
+    const px = (v) => parseFloat(v) || 0;
+    return { left: px(st.paddingLeft), top: px(st.paddingTop), right: px(st.paddingRight), bottom: px(st.paddingBottom) };
+  }
 
   function applyDisplayMode() {
     WIN_W = window.innerWidth;
@@ -68,15 +100,25 @@ window.addEventListener("error", (e) => {
     canvas.style.width = WIN_W + "px";
     canvas.style.height = WIN_H + "px";
 
-    ctx.setTransform(DPR, 0, 0, DPR, 0, 0);
-
-    VIEW_OX = Math.floor((WIN_W - GAME_W) / 2);
-    VIEW_OY = Math.floor((WIN_H - GAME_H) / 2);
+    const view = fitView(WIN_W, WIN_H, DPR, safeInsets(), SAVE.settings.scaling, SAVE.settings.wide_view);
+    VIEW_OX = view.x;
+    VIEW_OY = view.y;
+    VIEW_SCALE = view.scale;
+    VIEW_W = view.w;
+    PIXEL_RATIO = DPR * VIEW_SCALE;
+    if (renderer) renderer.resize();
 
     document.title = "Endless Runner";
   }
   window.addEventListener("resize", applyDisplayMode);
-  applyDisplayMode();
+
+  // the whole view in the current screen's coordinates (wider than the menu layout on wide screens)
+  const viewRect = () => rect(-STAGE_X, 0, VIEW_W, HEIGHT);
+
+  function fillView(fill) {
+    const v = viewRect();
+    renderer.rect(v.x, v.y, v.w, v.h, fill);
+  }
 
   // -------------------------
   // Colors
@@ -92,53 +134,103 @@ window.addEventListener("error", (e) => {
   // -------------------------
   // Save system (localStorage)
   // -------------------------
-  const SAVE_KEY = "runner_save_v2_polished";
+  const SAVE_KEY = "runner_save_v2_polished"; // profile 0, which is where pre-profile saves live
+
+  // Profiles: each one is a whole save under its own key; PROFILES_KEY lists them.
+  const PROFILES_KEY = "runner_profiles";
+  const PROFILE_MAX = 5;
+  const profileKey = (id) => (id === 0 ? SAVE_KEY : `${SAVE_KEY}_p${id}`);
+
+  function defaultProfiles() {
+    return { active: 0, next_id: 1, list: [{ id: 0, name: "Player 1" }] };
+  }
+
+  function loadProfiles() {
+    try {
+      const p = JSON.parse(localStorage.getItem(PROFILES_KEY) || "null");
+      const list = Array.isArray(p && p.list)
+        ? p.list.filter((e) => e && Number.isInteger(e.id) && e.id >= 0 && typeof e.name === "string")
+        : [];
+      if (!list.length) return defaultProfiles();
+      const nextId = Math.max(Number.isInteger(p.next_id) ? p.next_id : 0, ...list.map((e) => e.id + 1));
+      const active = list.some((e) => e.id === p.active) ? p.active : list[0].id;
+      return { active, next_id: nextId, list: list.slice(0, PROFILE_MAX) };
+    } catch (_) { return defaultProfiles(); }
+  }
+
+  function saveProfiles() {
+    try { localStorage.setItem(PROFILES_KEY, JSON.stringify(PROFILES)); } catch (_) {}
+  }
+
+  let PROFILES = loadProfiles();
+  let saveKey = profileKey(PROFILES.active); // storage key of the active profile
+
+  // localStorage for save.js; it can throw on any access (private mode, blocked storage)
+  const storage = {
+    getItem: (k) => localStorage.getItem(k),
+    setItem: (k, v) => localStorage.setItem(k, v),
+  };
+
+  let saveNotice = null; // shown on the menu after a save had to be repaired / restored
 
   function defaultSaveData() {
     return {
+      version: SAVE_VERSION,
+      saved_at: 0,
       money: 0,
       best_score: 0,
       cosmetics: { player: "Sky", platform: "Pearl", spike: "Crimson", background: "Midnight" },
       owned: { player: ["Sky"], platform: ["Pearl"], spike: ["Crimson"], background: ["Midnight"] },
-      upgrades: { jump: 0, coyote: 0, coin_mult: 0, magnet: 0 },
+      upgrades: {
+        jump: 0, coyote: 0, coin_mult: 0, magnet: 0,
+        shield_time: 0, double_jump_time: 0, slowmo_time: 0, magnet_time: 0,
+      },
       settings: {
         screenshake: true,
-        particles: true,
+        particles: "high",  // a PARTICLE_QUALITY key
         show_fps: false,
         fullscreen: false,
         sound: true, // NEW
+        vol_master: 1,  // mixer bus levels, 0..1
+        vol_music: 0.6,
+        vol_sfx: 1,
+        pit_mode: false,
+        reduced_motion: false,
+        high_contrast: false,
+        colorblind: "off",  // "off" or a COLORBLIND_MODES key
+        text_scale: 1,      // one of TEXT_SCALES
+        scaling: "smooth",  // a SCALE_MODES key
+        wide_view: true,    // show more of the world on screens wider than 16:9
+        controls: defaultControls(),
       },
+      // best: per-day best score by dailyKey; rewarded_day: last day the bonus attempt was used
+      daily: { best: {}, rewarded_day: "", last_day: "", streak: 0 },
+      // finished runs (see recordRun) and totals over every run ever, including trimmed ones
+      history: [],
+      lifetime: { runs: 0, score: 0, coins: 0, money: 0, distance: 0, time: 0 },
+      achievements: { progress: {}, unlocked: {}, counters: { jumps: 0, coins: 0, deaths: 0 } },
+      // score_mul goes into the run params, so it only changes between runs
+      missions: { active: fillMissions([], 0), completed: 0, score_mul: 1 },
     };
   }
 
-  function deepMerge(dst, src) {
-    for (const k of Object.keys(src)) {
-      const v = src[k];
-      if (!(k in dst)) dst[k] = v;
-      else if (
-        v && typeof v === "object" && !Array.isArray(v) &&
-        dst[k] && typeof dst[k] === "object" && !Array.isArray(dst[k])
-      ) deepMerge(dst[k], v);
-    }
-  }
-
   function saveSave(data) {
-    try { localStorage.setItem(SAVE_KEY, JSON.stringify(data)); } catch (_) {}
+    try {
+      data.saved_at = Date.now();
+      const json = JSON.stringify(data);
+      localStorage.setItem(saveKey, json);
+      writeBackup(storage, saveKey, json, data.saved_at);
+    } catch (_) {}
   }
 
+  // the active profile's save; see save.js for what happens to one that can't be read
   function loadSave() {
-    const def = defaultSaveData();
-    try {
-      const raw = localStorage.getItem(SAVE_KEY);
-      if (!raw) return def;
-      const data = JSON.parse(raw);
-      deepMerge(data, def);
-      return data;
-    } catch (_) { return def; }
+    const { data, notice, error } = loadSaveFrom(storage, saveKey, SAVE_SCHEMA);
+    if (error) console.warn("Save unreadable:", error);
+    if (notice) saveNotice = notice;
+    return data;
   }
 
-  let SAVE = loadSave();
-
   async function setFullscreen(on) {
     SAVE.settings.fullscreen = !!on;
     saveSave(SAVE);
@@ -162,50 +254,169 @@ window.addEventListener("error", (e) => {
   });
 
   // -------------------------
-  // Simple WebAudio SFX (no assets)
+  // WebAudio mixer, SFX and music (no assets)
   // -------------------------
+  // music -> duck -> master -> speakers, sfx -> master. The bus gains follow the volume
+  // settings; duck dips the music while paused or dead.
   let audioCtx = null;
+  const AUDIO = { master: null, music: null, sfx: null, duck: null, duck_to: 1, noise: null, levels: "" };
+  const MUSIC_LEVEL = 0.7;   // music bus at full volume, under the sfx
+  const MUSIC_DUCK = 0.3;
+  const MUSIC_AHEAD = 0.12;  // s of notes scheduled ahead of the audio clock
+  const MUSIC = { next_t: 0, step: 0, bar: 0 };
 
   function ensureAudio() {
-    if (!SAVE.settings.sound) return null;
+    if (!SAVE.settings.sound && !audioCtx) return null;
     if (!audioCtx) {
       try { audioCtx = new (window.AudioContext || window.webkitAudioContext)(); } catch (_) { audioCtx = null; }
+      if (audioCtx) setupBuses(audioCtx);
     }
     return audioCtx;
   }
 
-  function beep(freq, dur = 0.07, type = "sine", gain = 0.03) {
-    const ac = ensureAudio();
-    if (!ac) return;
-    const t0 = ac.currentTime;
+  function setupBuses(ac) {
+    AUDIO.master = ac.createGain();
+    AUDIO.music = ac.createGain();
+    AUDIO.sfx = ac.createGain();
+    AUDIO.duck = ac.createGain();
+    AUDIO.music.connect(AUDIO.duck);
+    AUDIO.duck.connect(AUDIO.master);
+    AUDIO.sfx.connect(AUDIO.master);
+    AUDIO.master.connect(ac.destination);
+
+    // a second of white noise for the hats
+    AUDIO.noise = ac.createBuffer(1, ac.sampleRate, ac.sampleRate);
+    const data = AUDIO.noise.getChannelData(0);
+    for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+    applyVolumes();
+  }
+
+  // follows the volume settings and the sound toggle (checked every frame, so profile switches
+  // and imports are picked up too)
+  function applyVolumes() {
+    const st = SAVE.settings, t = audioCtx.currentTime;
+    const levels = `${st.sound} ${st.vol_master} ${st.vol_music} ${st.vol_sfx}`;
+    if (levels === AUDIO.levels) return;
+    AUDIO.levels = levels;
+    AUDIO.master.gain.setTargetAtTime(st.sound ? st.vol_master : 0, t, 0.02);
+    AUDIO.music.gain.setTargetAtTime(st.vol_music * MUSIC_LEVEL, t, 0.02);
+    AUDIO.sfx.gain.setTargetAtTime(st.vol_sfx, t, 0.02);
+  }
+
+  // one enveloped oscillator into bus, starting at t0
+  function tone(bus, t0, freq, dur, type, gain, attack = 0.005) {
+    const ac = audioCtx;
     const osc = ac.createOscillator();
     const g = ac.createGain();
     osc.type = type;
     osc.frequency.setValueAtTime(freq, t0);
     g.gain.setValueAtTime(0, t0);
-    g.gain.linearRampToValueAtTime(gain, t0 + 0.005);
-    g.gain.exponentialRampToValueAtTime(0.0001, t0 + dur);
+    g.gain.linearRampToValueAtTime(gain, t0 + attack);
+    g.gain.exponentialRampToValueAtTime(0.0001, t0 + Math.max(dur, attack + 0.01));
 
     osc.connect(g);
-    g.connect(ac.destination);
+    g.connect(bus);
     osc.start(t0);
     osc.stop(t0 + dur + 0.02);
+    return osc;
+  }
+
+  function beep(freq, dur = 0.07, type = "sine", gain = 0.03) {
+    const ac = ensureAudio();
+    if (!ac || !SAVE.settings.sound) return;
+    tone(AUDIO.sfx, ac.currentTime, freq, dur, type, gain);
   }
 
   const sfx = {
     click: () => beep(650, 0.06, "triangle", 0.02),
     jump:  () => { beep(420, 0.05, "square", 0.02); beep(740, 0.04, "sine", 0.015); },
-    coin:  () => { beep(980, 0.05, "sine", 0.02); beep(1280, 0.05, "triangle", 0.015); },
+    // streak: coins picked up in a row so far, each one a step higher
+    coin:  (streak = 0) => {
+      const k = 2 ** (streakSemis(streak) / 12);
+      beep(980 * k, 0.05, "sine", 0.02); beep(1280 * k, 0.05, "triangle", 0.015);
+    },
     dead:  () => { beep(160, 0.12, "sawtooth", 0.03); beep(90, 0.16, "square", 0.02); },
+    powerup: () => { beep(520, 0.06, "triangle", 0.02); beep(780, 0.06, "triangle", 0.02); beep(1170, 0.08, "sine", 0.02); },
+    shield:  () => { beep(300, 0.10, "triangle", 0.03); beep(600, 0.08, "sine", 0.02); },
+    wall:  () => { beep(120, 0.09, "square", 0.03); beep(260, 0.05, "triangle", 0.02); },
+    crumble: () => { beep(90, 0.10, "sawtooth", 0.02); beep(140, 0.06, "square", 0.015); },
   };
 
-  // Resume audio on first interaction (browser policy)
+  // coins count as a streak while each comes within this long (run time) of the last
+  const COIN_STREAK_GAP = 0.6;
+  const COIN_STREAK = { n: 0, t: -Infinity };
+
+  function coinStreak() {
+    const gap = RUN.time - COIN_STREAK.t;   // negative once a new run has started
+    COIN_STREAK.n = gap >= 0 && gap <= COIN_STREAK_GAP ? COIN_STREAK.n + 1 : 0;
+    COIN_STREAK.t = RUN.time;
+    return COIN_STREAK.n;
+  }
+
+  function musicVoice(n, t0, stepT) {
+    const dur = n.dur * stepT;
+    if (n.voice === "kick") {
+      const osc = tone(AUDIO.music, t0, 150, 0.16, "sine", 0.16 * n.gain, 0.002);
+      osc.frequency.exponentialRampToValueAtTime(45, t0 + 0.12);
+    } else if (n.voice === "hat") {
+      const src = audioCtx.createBufferSource();
+      const hp = audioCtx.createBiquadFilter();
+      const g = audioCtx.createGain();
+      src.buffer = AUDIO.noise;
+      hp.type = "highpass";
+      hp.frequency.value = 7000;
+      g.gain.setValueAtTime(0.025 * n.gain, t0);
+      g.gain.exponentialRampToValueAtTime(0.0001, t0 + 0.04);
+      src.connect(hp);
+      hp.connect(g);
+      g.connect(AUDIO.music);
+      src.start(t0, Math.random() * 0.9);
+      src.stop(t0 + 0.06);
+    } else if (n.voice === "bass") {
+      tone(AUDIO.music, t0, midiHz(n.midi), dur, "triangle", 0.07 * n.gain);
+    } else if (n.voice === "lead") {
+      tone(AUDIO.music, t0, midiHz(n.midi), dur, "square", 0.012 * n.gain);
+    } else if (n.voice === "pad") {
+      for (const m of n.midi) tone(AUDIO.music, t0, midiHz(m), dur, "sawtooth", 0.006 * n.gain, dur * 0.3);
+    }
+  }
+
+  // Called every frame: schedules the notes due in the next MUSIC_AHEAD seconds at the tempo
+  // of the current run speed (the menus idle at the start tempo) and sets the duck.
+  function updateMusic() {
+    const ac = audioCtx;
+    if (!ac) return;
+    applyVolumes();
+    if (ac.state !== "running" || !SAVE.settings.sound) return;
+
+    const live = mode === MODE_PLAY || mode === MODE_DEAD;
+    const speed = live ? RUN.speed : BASE_SPEED;
+    const intensity = live ? musicIntensity(speed) : 0;
+    const stepT = 60 / musicTempo(speed) / 4;
+
+    // came back from a hidden tab (or just started): pick up from now
+    if (MUSIC.next_t < ac.currentTime) MUSIC.next_t = ac.currentTime + 0.02;
+    while (MUSIC.next_t < ac.currentTime + MUSIC_AHEAD) {
+      for (const n of musicNotes(MUSIC.bar, MUSIC.step, intensity)) musicVoice(n, MUSIC.next_t, stepT);
+      MUSIC.next_t += stepT;
+      if (++MUSIC.step === STEPS_PER_BAR) { MUSIC.step = 0; MUSIC.bar++; }
+    }
+
+    const duck = (mode === MODE_PLAY && paused) || mode === MODE_DEAD ? MUSIC_DUCK : 1;
+    if (duck !== AUDIO.duck_to) {
+      AUDIO.duck_to = duck;
+      AUDIO.duck.gain.setTargetAtTime(duck, ac.currentTime, duck < 1 ? 0.08 : 0.3);
+    }
+  }
+
+  // Resume audio on interaction (browser policy); on every one, since sound may be switched on
+  // or the context suspended later
   function unlockAudio() {
     const ac = ensureAudio();
     if (ac && ac.state === "suspended") ac.resume().catch(() => {});
   }
-  window.addEventListener("pointerdown", unlockAudio, { once: true });
-  window.addEventListener("keydown", unlockAudio, { once: true });
+  window.addEventListener("pointerdown", unlockAudio);
+  window.addEventListener("keydown", unlockAudio);
 
   // -------------------------
   // Cosmetics + upgrades
@@ -217,6 +428,7 @@ window.addEventListener("error", (e) => {
       Gold: { price: 400, color: [255, 215, 90] },
       Violet: { price: 300, color: [190, 120, 255] },
       Void: { price: 600, color: [30, 35, 48] },
+      Blaze: { price: 0, color: [255, 120, 60], exclusive: true },
     },
     platform: {
       Pearl: { price: 0, color: [210, 210, 220] },
@@ -224,6 +436,7 @@ window.addEventListener("error", (e) => {
       Mint: { price: 250, color: [150, 255, 210] },
       Amber: { price: 300, color: [255, 190, 120] },
       Obsidian: { price: 500, color: [55, 60, 70] },
+      Gilded: { price: 0, color: [235, 195, 95], exclusive: true },
     },
     spike: {
       Crimson: { price: 0, color: [255, 90, 90] },
@@ -231,6 +444,7 @@ window.addEventListener("error", (e) => {
       Ice: { price: 220, color: [140, 220, 255] },
       Royal: { price: 320, color: [210, 130, 255] },
       Coal: { price: 450, color: [70, 75, 85] },
+      Prism: { price: 0, color: [255, 130, 225], exclusive: true },
     },
     background: {
       Midnight: { price: 0, color: [16, 18, 24] },
@@ -238,22 +452,318 @@ window.addEventListener("error", (e) => {
       Ocean: { price: 220, color: [10, 22, 32] },
       Forest: { price: 260, color: [14, 26, 20] },
       Sunset: { price: 320, color: [28, 16, 18] },
+      Aurora: { price: 0, color: [10, 28, 30], exclusive: true },
     },
   };
+  // exclusive cosmetics can't be bought; they are achievement rewards
 
   const UPGRADES = {
     jump: { name: "Jump Power", max: 6, base_cost: 140, cost_step: 80 },
     coyote: { name: "Coyote Time", max: 6, base_cost: 110, cost_step: 70 },
     coin_mult: { name: "Coin Multiplier", max: 6, base_cost: 170, cost_step: 90 },
     magnet: { name: "Coin Magnet", max: 6, base_cost: 160, cost_step: 85 },
+    shield_time: { name: "Shield Duration", max: 5, base_cost: 120, cost_step: 70, powerup: "shield" },
+    double_jump_time: { name: "Double Jump Duration", max: 5, base_cost: 130, cost_step: 75, powerup: "double_jump" },
+    slowmo_time: { name: "Slow-Mo Duration", max: 5, base_cost: 150, cost_step: 80, powerup: "slowmo" },
+    magnet_time: { name: "Magnet Burst Duration", max: 5, base_cost: 110, cost_step: 65, powerup: "magnet" },
+  };
+  const CORE_UPGRADES = ["jump", "coyote", "coin_mult", "magnet"];
+  const POWERUP_UPGRADES = ["shield_time", "double_jump_time", "slowmo_time", "magnet_time"];
+
+  const POWERUP_INFO = {
+    shield: { label: "Shield", icon: "S", color: [120, 200, 255] },
+    double_jump: { label: "Double Jump", icon: "D", color: [130, 255, 170] },
+    slowmo: { label: "Slow-Mo", icon: "T", color: [200, 150, 255] },
+    magnet: { label: "Magnet", icon: "M", color: [255, 140, 110] },
+  };
+
+  // -------------------------
+  // Achievements (the catalog is data; progress lives in SAVE.achievements)
+  // -------------------------
+  // value() is read after every play update and after purchases. progress keeps the best
+  // value seen, so "in one run" goals remember the best run and lifetime counters just grow.
+  const ownedShopSkins = (cat) => SAVE.owned[cat].filter((n) => !COSMETICS[cat][n].exclusive).length;
+  const ACHIEVEMENTS = [
+    { id: "coins_50", name: "Pocket Money", desc: "Collect 50 coins in one run", goal: 50,
+      value: () => RUN.coins_run, reward: { money: 150 } },
+    { id: "landings_40", name: "Sure-Footed", desc: "Land 40 times in one run", goal: 40,
+      value: () => ACH_RUN.landings, reward: { money: 100 } },
+    { id: "no_cut_60", name: "Full Send", desc: "Survive 60 s with no jump cuts", goal: 60,
+      value: () => ACH_RUN.nocut_t, reward: { money: 250 } },
+    { id: "max_speed", name: "Terminal Velocity", desc: "Reach top speed", goal: MAX_SPEED,
+      value: () => RUN.speed, reward: { cosmetic: ["player", "Blaze"] } },
+    { id: "zone_2", name: "Sightseer", desc: "Reach the second zone", goal: 2,
+      value: () => RUN.zone + 1, reward: { cosmetic: ["background", "Aurora"] } },
+    { id: "jumps_1000", name: "Frequent Flyer", desc: "Jump 1000 times", goal: 1000,
+      value: () => SAVE.achievements.counters.jumps, reward: { money: 300 } },
+    { id: "coins_2000", name: "Piggy Bank", desc: "Collect 2000 coins in total", goal: 2000,
+      value: () => SAVE.achievements.counters.coins, reward: { cosmetic: ["platform", "Gilded"] } },
+    { id: "deaths_25", name: "Try, Try Again", desc: "Die 25 times", goal: 25,
+      value: () => SAVE.achievements.counters.deaths, reward: { money: 100 } },
+    { id: "all_spikes", name: "Spike Collector", desc: "Own every spike skin in the shop",
+      goal: Object.values(COSMETICS.spike).filter((c) => !c.exclusive).length,
+      value: () => ownedShopSkins("spike"), reward: { cosmetic: ["spike", "Prism"] } },
+  ];
+
+  const rewardText = (r) => (r.money ? `+${r.money} money` : `${r.cosmetic[1]} ${r.cosmetic[0]} skin`);
+
+  // per-run counters the catalog reads (reset with the run)
+  const ACH_RUN = { landings: 0, nocut_t: 0 };
+  const TOASTS = []; // { ach, t } queue, front one is on screen
+  const TOAST_T = 3.6;
+
+  function achOnEvent(ev) {
+    const c = SAVE.achievements.counters;
+    if (ev.type === "jump") c.jumps += 1;
+    else if (ev.type === "land") ACH_RUN.landings += 1;
+    else if (ev.type === "coin") c.coins += 1;
+    else if (ev.type === "cut") ACH_RUN.nocut_t = 0;
+    else if (ev.type === "dead") c.deaths += 1;
+  }
+
+  function checkAchievements() {
+    const a = SAVE.achievements;
+    let unlocked = false;
+    for (const ach of ACHIEVEMENTS) {
+      if (a.unlocked[ach.id]) continue;
+      const v = Math.max(a.progress[ach.id] || 0, ach.value());
+      a.progress[ach.id] = v;
+      if (v < ach.goal) continue;
+      a.unlocked[ach.id] = Date.now();
+      if (ach.reward.money) SAVE.money += ach.reward.money;
+      if (ach.reward.cosmetic) {
+        const [cat, name] = ach.reward.cosmetic;
+        if (!isOwned(cat, name)) SAVE.owned[cat].push(name);
+      }
+      TOASTS.push({ ach, t: 0 });
+      sfx.powerup();
+      unlocked = true;
+    }
+    if (unlocked) saveSave(SAVE);
+  }
+
+  // slides in from the right, holds, slides back out
+  function drawToasts(dt) {
+    if (!TOASTS.length) return;
+    const toast = TOASTS[0];
+    toast.t += dt;
+    if (toast.t >= TOAST_T) { TOASTS.shift(); return; }
+
+    const k = smoothstep(clamp(Math.min(toast.t, TOAST_T - toast.t) / 0.3, 0, 1));
+    const w = ts(330), h = ts(70);
+    const x = Math.floor(lerp(VIEW_W + 10, VIEW_W - w - 16, reducedMotion() ? 1 : k));
+    const y = 84;
+    renderer.shadow(true);
+    roundRectFill(x, y, w, h, 14, [24, 26, 38], COIN_C, 2);
+    renderer.shadow(false);
+    drawText("Achievement unlocked!", x + 16, y + ts(8), 16, COIN_C);
+    drawText(toast.ach.name, x + 16, y + ts(26), 24, [245, 245, 250], "left", 1, w - 32);
+    drawText(rewardText(toast.ach.reward), x + w - 16, y + ts(48), 16, DIM, "right", 1, w - 32);
+  }
+
+  // -------------------------
+  // Accessibility (Settings > Accessibility)
+  // -------------------------
+  const TEXT_SCALES = [1, 1.15, 1.3];
+
+  // UI sizes and line steps go through ts() so layouts grow with the text scale
+  const ts = (n) => Math.round(n * SAVE.settings.text_scale);
+  const reducedMotion = () => SAVE.settings.reduced_motion;
+  const highContrast = () => SAVE.settings.high_contrast;
+  const colorblindMode = () => COLORBLIND_MODES[SAVE.settings.colorblind] || null;
+
+  // in-world hazard / coin colors; a colorblind palette overrides the spike cosmetic
+  const hazardColor = () => (colorblindMode() ? colorblindMode().hazard : getColor("spike"));
+  const coinColor = () => (colorblindMode() ? colorblindMode().coin : COIN_C);
+
+  const HC_OUTLINE = [255, 255, 255];
+
+  // -------------------------
+  // Controls (rebindable in Settings > Controls)
+  // -------------------------
+  const CONTROL_ACTIONS = [
+    { id: "jump", name: "Jump" },
+    { id: "pause", name: "Pause" },
+    { id: "restart", name: "Restart run" },
+    { id: "back", name: "Back / Menu" },
+  ];
+  // key / alt are KeyboardEvent.code values, pad a standard-mapping button index; null = unbound
+  const DEFAULT_CONTROLS = {
+    jump: { key: "Space", alt: "KeyW", pad: 0 },
+    pause: { key: "KeyP", alt: null, pad: 9 },
+    restart: { key: "KeyR", alt: null, pad: 3 },
+    back: { key: "Escape", alt: null, pad: 1 },
+  };
+  const CONTROL_SLOTS = ["key", "alt", "pad"];
+  const PAD_NAMES = ["A", "B", "X", "Y", "LB", "RB", "LT", "RT", "Select", "Start", "L3", "R3", "D-Up", "D-Down", "D-Left", "D-Right"];
+
+  const defaultControls = () => JSON.parse(JSON.stringify(DEFAULT_CONTROLS));
+
+  function validateControls(raw) {
+    const obj = (v) => (v && typeof v === "object" && !Array.isArray(v) ? v : {});
+    const src = obj(raw);
+    const isCode = (v) => v === null || (typeof v === "string" && /^[A-Za-z0-9]{1,32}$/.test(v));
+    const isPad = (v) => v === null || (Number.isInteger(v) && v >= 0 && v < 32);
+    const out = {};
+    for (const [id, def] of Object.entries(DEFAULT_CONTROLS)) {
+      const b = obj(src[id]);
+      out[id] = {
+        key: isCode(b.key) ? b.key : def.key,
+        alt: isCode(b.alt) ? b.alt : def.alt,
+        pad: isPad(b.pad) ? b.pad : def.pad,
+      };
+    }
+    return out;
+  }
+
+  function keyName(code) {
+    if (code === null) return "-";
+    if (/^(Key|Digit)/.test(code)) return code.replace(/^(Key|Digit)/, "");
+    if (code.startsWith("Arrow")) return code.slice(5);
+    const names = { Escape: "Esc", ShiftLeft: "L Shift", ShiftRight: "R Shift", ControlLeft: "L Ctrl", ControlRight: "R Ctrl" };
+    return names[code] || code.replace(/^Numpad/, "Num ");
+  }
+  const padName = (i) => (i === null ? "-" : PAD_NAMES[i] || `Button ${i}`);
+  const slotName = (slot, v) => (slot === "pad" ? padName(v) : keyName(v));
+
+  // "Space / W / A"
+  function bindingText(action) {
+    const b = SAVE.settings.controls[action];
+    return CONTROL_SLOTS.filter((slot) => b[slot] !== null).map((slot) => slotName(slot, b[slot])).join(" / ") || "unbound";
+  }
+
+  const keyIs = (action, code) => {
+    const b = SAVE.settings.controls[action];
+    return b.key === code || b.alt === code;
+  };
+  const padButton = (action) => SAVE.settings.controls[action].pad;
+
+  // inputs bound to more than one action: [{ label, slots: [[action, slot], ...] }]
+  function controlConflicts() {
+    const seen = new Map();
+    for (const a of CONTROL_ACTIONS) {
+      for (const slot of CONTROL_SLOTS) {
+        const v = SAVE.settings.controls[a.id][slot];
+        if (v === null) continue;
+        const k = slot === "pad" ? `pad:${v}` : `key:${v}`;
+        if (!seen.has(k)) seen.set(k, { label: slotName(slot, v), slots: [] });
+        seen.get(k).slots.push([a, slot]);
+      }
+    }
+    return [...seen.values()].filter((e) => new Set(e.slots.map(([a]) => a.id)).size > 1);
+  }
+
+  function bindControl(action, slot, value) {
+    SAVE.settings.controls[action][slot] = value;
+    bindCapture = null;
+    saveSave(SAVE);
+    sfx.click();
+  }
+
+  // -------------------------
+  // Missions (three at a time, replaced from the pool as they're finished)
+  // -------------------------
+  // "run" missions must be done inside one run (progress keeps the best run so far), "total"
+  // ones add up across runs. Progress comes from counting run events of type `event`, or
+  // from value() for things that are read off the run.
+  const MISSION_POOL = [
+    { id: "jumps", text: "Jump {n} times in one run", goals: [30, 40, 60], scope: "run", event: "jump" },
+    { id: "coins_run", text: "Collect {n} coins in one run", goals: [15, 25, 40], scope: "run", value: () => RUN.coins_run },
+    { id: "score", text: "Score {n} in one run", goals: [400, 800, 1500], scope: "run", value: () => RUN.score },
+    { id: "spike_death", text: "Die to a spike above score {n}", goals: [300, 800, 1200], scope: "run",
+      value: () => (RUN.dead && (RUN.death_cause === "spike" || RUN.death_cause === "ceiling") ? RUN.score : 0) },
+    { id: "wall_bumps", text: "Survive {n} wall bumps in one run", goals: [1, 2, 3], scope: "run", event: "wall" },
+    { id: "coins_total", text: "Collect {n} coins", goals: [100, 200, 400], scope: "total", event: "coin" },
+    { id: "landings", text: "Land {n} times", goals: [80, 150, 300], scope: "total", event: "land" },
+    { id: "powerups", text: "Pick up {n} power-ups", goals: [3, 5, 8], scope: "total", event: "powerup" },
+  ];
+  const MISSION_SLOTS = 3;
+  const MISSION_MUL_STEP = 0.05;
+  const MISSION_MUL_MAX = 2;
+
+  const MISSION_RUN = {}; // this run's event counts for "run" missions, by id
+  const missionDef = (id) => MISSION_POOL.find((d) => d.id === id);
+  const missionText = (m) => missionDef(m.id).text.replace("{n}", m.goal);
+
+  // tops active up to MISSION_SLOTS with missions it doesn't already have (or in skip);
+  // goals get harder the more have been completed
+  function fillMissions(active, completed, skip = []) {
+    while (active.length < MISSION_SLOTS) {
+      const free = MISSION_POOL.filter((d) => !active.some((m) => m.id === d.id) && !skip.some((m) => m.id === d.id));
+      const def = free[randi(0, free.length - 1)];
+      const tier = Math.min(def.goals.length - 1, Math.floor(completed / 4) + randi(0, 1));
+      active.push({ id: def.id, goal: def.goals[tier], progress: 0 });
+    }
+    return active;
+  }
+
+  function missionsOnEvent(ev) {
+    for (const m of SAVE.missions.active) {
+      const def = missionDef(m.id);
+      if (def.event !== ev.type) continue;
+      if (def.scope === "total") m.progress += 1;
+      else MISSION_RUN[m.id] = (MISSION_RUN[m.id] || 0) + 1;
+    }
+  }
+
+  function checkMissions() {
+    const ms = SAVE.missions;
+    const finished = [];
+    for (const m of ms.active) {
+      const def = missionDef(m.id);
+      if (def.scope === "run") m.progress = Math.max(m.progress, def.value ? def.value() : MISSION_RUN[m.id] || 0);
+      if (m.progress >= m.goal) finished.push(m);
+    }
+    if (!finished.length) return;
+
+    for (const m of finished) {
+      ms.completed += 1;
+      ms.score_mul = Math.min(MISSION_MUL_MAX, Math.round((ms.score_mul + MISSION_MUL_STEP) * 100) / 100);
+      FX.banners.push({ kicker: `Mission complete - score x${ms.score_mul.toFixed(2)} next run`, title: missionText(m), col: GROUND, t: 0 });
+    }
+    // a finished mission isn't handed straight back
+    ms.active = fillMissions(ms.active.filter((m) => !finished.includes(m)), ms.completed, finished);
+    sfx.powerup();
+    saveSave(SAVE);
+  }
+
+  // menu / dead screen list: text, progress bar, count
+  function drawMissions(x, y, w, size = 20) {
+    for (const m of SAVE.missions.active) {
+      drawText(missionText(m), x, y, size, [220, 220, 235], "left", 1, w - ts(56));
+      drawText(`${Math.min(m.goal, Math.floor(m.progress))}/${m.goal}`, x + w, y, size - 2, DIM, "right");
+      const frac = clamp(m.progress / m.goal, 0, 1);
+      const by = y + ts(size) + 4;
+      roundRectFill(x, by, w, 6, 3, [40, 44, 58], null, 0);
+      if (frac > 0.02) roundRectFill(x, by, Math.max(6, w * frac), 6, 3, GROUND, null, 0);
+      y = by + 6 + 10;
+    }
+    return y;
+  }
+
+  // what a save is checked against (see save.js)
+  const SAVE_SCHEMA = {
+    defaults: defaultSaveData,
+    cosmetics: COSMETICS,
+    upgrades: UPGRADES,
+    achievements: ACHIEVEMENTS,
+    missions: { def: missionDef, fill: fillMissions, slots: MISSION_SLOTS, mulMax: MISSION_MUL_MAX },
+    controls: validateControls,
+    textScales: TEXT_SCALES,
   };
 
+  // loaded here rather than with the save code: validation needs the catalogs above
+  let SAVE = loadSave();
+  applyDisplayMode();   // (down here: the scaling mode is a setting)
+
   const upgradeCost = (key, level) => UPGRADES[key].base_cost + UPGRADES[key].cost_step * level;
-  const getColor = (cat) => COSMETICS[cat][SAVE.cosmetics[cat]].color;
+  const getColor = (cat) => cosmeticColor(COSMETICS[cat][SAVE.cosmetics[cat]]);
+  const cosmeticColor = (info) => daltonize(info.color, SAVE.settings.colorblind);
 
   function isOwned(cat, name) { return SAVE.owned[cat].includes(name); }
 
   function buyCosmetic(cat, name) {
+    if (COSMETICS[cat][name].exclusive && !isOwned(cat, name)) return;
     if (isOwned(cat, name)) {
       SAVE.cosmetics[cat] = name;
       saveSave(SAVE);
@@ -265,6 +775,7 @@ window.addEventListener("error", (e) => {
       SAVE.money -= price;
       SAVE.owned[cat].push(name);
       SAVE.cosmetics[cat] = name;
+      checkAchievements();
       saveSave(SAVE);
       sfx.click();
     }
@@ -289,6 +800,63 @@ window.addEventListener("error", (e) => {
     if (key === "fullscreen") setFullscreen(SAVE.settings.fullscreen);
   }
 
+  // steps a multiple-choice setting to the next of options, wrapping round
+  function cycleSetting(key, options) {
+    const i = options.indexOf(SAVE.settings[key]);
+    SAVE.settings[key] = options[(i + 1) % options.length];
+    saveSave(SAVE);
+    sfx.click();
+  }
+
+  // -------------------------
+  // Profile management (menu picker)
+  // -------------------------
+  const profileName = (id) => PROFILES.list.find((e) => e.id === id).name;
+
+  function switchProfile(id) {
+    if (id === PROFILES.active) return;
+    updateBestScore(false);
+    saveSave(SAVE);
+    PROFILES.active = id;
+    saveProfiles();
+    saveKey = profileKey(id);
+    SAVE = loadSave();
+    setFullscreen(SAVE.settings.fullscreen);
+    resetRun();
+  }
+
+  function createProfile(name) {
+    if (PROFILES.list.length >= PROFILE_MAX) return;
+    const id = PROFILES.next_id++;
+    PROFILES.list.push({ id, name });
+    saveProfiles();
+    switchProfile(id); // a key with nothing in it loads as a fresh save
+  }
+
+  function renameProfile(id, name) {
+    PROFILES.list.find((e) => e.id === id).name = name;
+    saveProfiles();
+  }
+
+  // the last profile can't go; deleting the active one moves to the first remaining
+  function deleteProfile(id) {
+    if (PROFILES.list.length <= 1) return;
+    if (id === PROFILES.active) switchProfile(PROFILES.list.find((e) => e.id !== id).id);
+    PROFILES.list = PROFILES.list.filter((e) => e.id !== id);
+    saveProfiles();
+    const key = profileKey(id);
+    try {
+      for (const k of [key, ...backupKeys(key), corruptKey(key)]) localStorage.removeItem(k);
+    } catch (_) {}
+  }
+
+  function promptProfileName(current = "") {
+    const input = window.prompt("Profile name:", current);
+    if (input === null) return null;
+    const name = input.trim().slice(0, 16);
+    return name || null;
+  }
+
   function resetSaveToDefaults() {
     SAVE = defaultSaveData();
     saveSave(SAVE);
@@ -299,64 +867,147 @@ window.addEventListener("error", (e) => {
   }
 
   // -------------------------
-  // Rect helpers
+  // Drawing primitives
   // -------------------------
-  const rect = (x, y, w, h) => ({ x, y, w, h });
-  const copyRect = (r) => ({ x: r.x, y: r.y, w: r.w, h: r.h });
-  const centerx = (r) => r.x + r.w / 2;
-  const centery = (r) => r.y + r.h / 2;
+  // Everything on the 2D layer is drawn with these, through the renderer (see Renderers). They
+  // draw into ctx, so drawInto points them at a sprite. Paints are CSS colors or gradients
+  // from linearGradient / radialGradient; a null fill or stroke is skipped.
+  const FONT = "system-ui, -apple-system, Segoe UI, Roboto, Arial";
+
+  const canvasDraw = {
+    // identity at the device pixel ratio, whole window cleared
+    beginFrame() {
+      ctx.setTransform(DPR, 0, 0, DPR, 0, 0);
+      ctx.clearRect(0, 0, WIN_W, WIN_H);
+    },
+    save() { ctx.save(); },
+    restore() { ctx.restore(); },
+    translate(x, y) { ctx.translate(x, y); },
+    scale(sx, sy) { ctx.scale(sx, sy); },
+    clip(x, y, w, h) {
+      ctx.beginPath();
+      ctx.rect(x, y, w, h);
+      ctx.clip();
+    },
+    alpha(a) { ctx.globalAlpha = a; },
+    additive(on) { ctx.globalCompositeOperation = on ? "lighter" : "source-over"; },
+    // the soft drop shadow under panels, buttons, platforms and the player
+    shadow(on) {
+      ctx.shadowColor = on ? "rgba(0,0,0,0.35)" : "transparent";
+      ctx.shadowBlur = on ? 14 : 0;
+      ctx.shadowOffsetX = 0;
+      ctx.shadowOffsetY = on ? 6 : 0;
+    },
 
-  function colliderect(a, b) {
-    return (a.x < b.x + b.w && a.x + a.w > b.x && a.y < b.y + b.h && a.y + a.h > b.y);
-  }
+    clear(x, y, w, h) { ctx.clearRect(x, y, w, h); },
+    rect(x, y, w, h, fill, stroke = null, lineW = 2) {
+      if (fill) {
+        ctx.fillStyle = fill;
+        ctx.fillRect(x, y, w, h);
+      }
+      if (stroke) {
+        ctx.lineWidth = lineW;
+        ctx.strokeStyle = stroke;
+        ctx.strokeRect(x, y, w, h);
+      }
+    },
+    roundRect(x, y, w, h, r, fill, stroke = null, lineW = 2) {
+      const rr = Math.min(r, w / 2, h / 2);
+      ctx.beginPath();
+      ctx.moveTo(x + rr, y);
+      ctx.arcTo(x + w, y, x + w, y + h, rr);
+      ctx.arcTo(x + w, y + h, x, y + h, rr);
+      ctx.arcTo(x, y + h, x, y, rr);
+      ctx.arcTo(x, y, x + w, y, rr);
+      ctx.closePath();
+      paintPath(fill, stroke, lineW);
+    },
+    // closed polygon through pts = [x0, y0, x1, y1, ...]
+    poly(pts, fill, stroke = null, lineW = 2) {
+      ctx.beginPath();
+      ctx.moveTo(pts[0], pts[1]);
+      for (let i = 2; i < pts.length; i += 2) ctx.lineTo(pts[i], pts[i + 1]);
+      ctx.closePath();
+      paintPath(fill, stroke, lineW);
+    },
+    // open polyline through pts; dash is a setLineDash pattern
+    line(pts, stroke, lineW = 1, dash = null) {
+      ctx.beginPath();
+      ctx.moveTo(pts[0], pts[1]);
+      for (let i = 2; i < pts.length; i += 2) ctx.lineTo(pts[i], pts[i + 1]);
+      if (dash) ctx.setLineDash(dash);
+      paintPath(null, stroke, lineW);
+      if (dash) ctx.setLineDash([]);
+    },
+    circle(x, y, r, fill, stroke = null, lineW = 2) {
+      ctx.beginPath();
+      ctx.arc(x, y, r, 0, TAU);
+      paintPath(fill, stroke, lineW);
+    },
+    // many circles, [x, y, r] each, filled as one shape
+    circles(list, fill) {
+      ctx.beginPath();
+      for (const [x, y, r] of list) {
+        ctx.moveTo(x + r, y);
+        ctx.arc(x, y, r, 0, TAU);
+      }
+      paintPath(fill, null, 0);
+    },
+    ellipse(x, y, rx, ry, fill, stroke = null, lineW = 2) {
+      ctx.beginPath();
+      ctx.ellipse(x, y, rx, ry, 0, 0, TAU);
+      paintPath(fill, stroke, lineW);
+    },
+    // img (a canvas or image) stretched over x, y, w, h; src picks a part of it, in its own px
+    image(img, x, y, w, h, src = null) {
+      if (src) ctx.drawImage(img, src.x, src.y, src.w, src.h, x, y, w, h);
+      else ctx.drawImage(img, x, y, w, h);
+    },
+    // size in px; maxW > 0 squeezes the text to fit
+    text(s, x, y, size, fill, align = "left", baseline = "top", maxW = 0) {
+      ctx.font = `${size}px ${FONT}`;
+      ctx.fillStyle = fill;
+      ctx.textAlign = align;
+      ctx.textBaseline = baseline;
+      if (maxW > 0) ctx.fillText(s, x, y, maxW);
+      else ctx.fillText(s, x, y);
+    },
 
-  // -------------------------
-  // Drawing primitives
-  // -------------------------
-  function roundRectPath(x, y, w, h, r) {
-    const rr = Math.min(r, w / 2, h / 2);
-    ctx.beginPath();
-    ctx.moveTo(x + rr, y);
-    ctx.arcTo(x + w, y, x + w, y + h, rr);
-    ctx.arcTo(x + w, y + h, x, y + h, rr);
-    ctx.arcTo(x, y + h, x, y, rr);
-    ctx.arcTo(x, y, x + w, y, rr);
-    ctx.closePath();
-  }
+    // stops are [at, color] pairs
+    linearGradient(x0, y0, x1, y1, stops) {
+      const g = ctx.createLinearGradient(x0, y0, x1, y1);
+      for (const [at, col] of stops) g.addColorStop(at, col);
+      return g;
+    },
+    radialGradient(x, y, r, stops) {
+      const g = ctx.createRadialGradient(x, y, 0, x, y, r);
+      for (const [at, col] of stops) g.addColorStop(at, col);
+      return g;
+    },
+  };
 
-  function roundRectFill(x, y, w, h, radius, fillCol, strokeCol = null, strokeW = 2) {
-    roundRectPath(x, y, w, h, radius);
-    ctx.fillStyle = rgb(fillCol);
-    ctx.fill();
-    if (strokeCol) {
-      ctx.lineWidth = strokeW;
-      ctx.strokeStyle = rgb(strokeCol);
+  function paintPath(fill, stroke, lineW) {
+    if (fill) {
+      ctx.fillStyle = fill;
+      ctx.fill();
+    }
+    if (stroke) {
+      ctx.lineWidth = lineW;
+      ctx.strokeStyle = stroke;
       ctx.stroke();
     }
   }
 
-  function softShadow(on) {
-    if (!on) {
-      ctx.shadowColor = "transparent";
-      ctx.shadowBlur = 0;
-      ctx.shadowOffsetX = 0;
-      ctx.shadowOffsetY = 0;
-      return;
-    }
-    ctx.shadowColor = "rgba(0,0,0,0.35)";
-    ctx.shadowBlur = 14;
-    ctx.shadowOffsetX = 0;
-    ctx.shadowOffsetY = 6;
+  function roundRectFill(x, y, w, h, radius, fillCol, strokeCol = null, strokeW = 2) {
+    renderer.roundRect(x, y, w, h, radius, rgb(fillCol), strokeCol && rgb(strokeCol), strokeW);
   }
 
-  function drawText(s, x, y, size = 34, color = TEXT, align = "left", alpha = 1) {
-    ctx.globalAlpha = alpha;
-    ctx.font = `${size}px system-ui, -apple-system, Segoe UI, Roboto, Arial`;
-    ctx.fillStyle = rgb(color);
-    ctx.textBaseline = "top";
-    ctx.textAlign = align;
-    ctx.fillText(s, x, y);
-    ctx.globalAlpha = 1;
+  // size is scaled by the text scale setting, except display sizes (48px and up) that are big
+  // enough already; maxW squeezes the text to fit a column
+  function drawText(s, x, y, size = 34, color = TEXT, align = "left", alpha = 1, maxW = 0) {
+    renderer.alpha(alpha);
+    renderer.text(s, x, y, size >= 48 ? size : ts(size), rgb(color), align, "top", maxW);
+    renderer.alpha(1);
   }
 
   // -------------------------
@@ -369,10 +1020,12 @@ window.addEventListener("error", (e) => {
       this.onClick = onClick;
       this.style = style;
       this.pressT = 0;
+      this.frame = -1;   // last frame uiButton handed it out
     }
 
     draw(mx, my, dt) {
-      const hover = (mx >= this.r.x && mx <= this.r.x + this.r.w && my >= this.r.y && my <= this.r.y + this.r.h);
+      const focused = navRegister(this);
+      const hover = focused || (mx >= this.r.x && mx <= this.r.x + this.r.w && my >= this.r.y && my <= this.r.y + this.r.h);
       this.pressT = Math.max(0, this.pressT - dt * 5);
 
       let bg, border, txtc;
@@ -393,17 +1046,18 @@ window.addEventListener("error", (e) => {
       const rw = this.r.w - inset * 2;
       const rh = this.r.h - inset * 2;
 
-      softShadow(true);
+      renderer.shadow(true);
       roundRectFill(rx, ry, rw, rh, 14, bg, border, 2);
-      softShadow(false);
+      renderer.shadow(false);
+
+      if (focused) {
+        const ring = rgba(COIN_C, reducedMotion() ? 1 : 0.7 + 0.3 * Math.sin(nowSeconds * 6));
+        renderer.roundRect(this.r.x - 3, this.r.y - 3, this.r.w + 6, this.r.h + 6, 17, null, ring, 3);
+      }
 
-      ctx.font = `34px system-ui, -apple-system, Segoe UI, Roboto, Arial`;
-      ctx.fillStyle = rgb(txtc);
-      ctx.textAlign = "center";
-      ctx.textBaseline = "middle";
-      ctx.fillText(this.label, this.r.x + this.r.w / 2, this.r.y + this.r.h / 2 + (p * 1.5));
-      ctx.textBaseline = "top";
-      ctx.textAlign = "left";
+      // scaled labels grow only as far as the button's height, then squeeze to its width
+      renderer.text(this.label, this.r.x + this.r.w / 2, this.r.y + this.r.h / 2 + (p * 1.5),
+        Math.min(ts(34), Math.max(34, this.r.h - 8)), rgb(txtc), "center", "middle", this.r.w - 16);
     }
 
     tryClick(mx, my) {
@@ -416,68 +1070,209 @@ window.addEventListener("error", (e) => {
     }
   }
 
+  // Screens ask for their buttons every frame; the Button objects themselves are kept by
+  // rect and only relabelled / rewired, so they aren't reallocated each frame and keep their
+  // press animation. Ones not asked for in a frame are dropped at its end.
+  const BUTTONS = new Map();
+  let buttonFrame = 0;
+
+  function uiButton(r, label, onClick, style = "main") {
+    const key = `${r.x},${r.y},${r.w},${r.h}`;
+    let b = BUTTONS.get(key);
+    if (b && b.frame === buttonFrame) return new Button(r, label, onClick, style); // same rect twice in a frame
+    if (!b) BUTTONS.set(key, b = new Button(r, label, onClick, style));
+    b.r = r;
+    b.label = label;
+    b.onClick = onClick;
+    b.style = style;
+    b.frame = buttonFrame;
+    return b;
+  }
+
+  function pruneButtons() {
+    for (const [key, b] of BUTTONS) if (b.frame !== buttonFrame) BUTTONS.delete(key);
+    buttonFrame++;
+  }
+
   // -------------------------
-  // Particles (with slight drag for polish)
+  // Particles (pooled typed arrays and emitter presets, see particles.js)
   // -------------------------
-  class Particle {
-    constructor(x, y, vx, vy, life, r, col) {
-      this.x = x; this.y = y;
-      this.vx = vx; this.vy = vy;
-      this.life = life;
-      this.r = r;
-      this.col = col;
-      this.maxLife = life;
-    }
-  }
-
-  function spawnParticles(particles, x, y, n, spMin, spMax, lifeMin, lifeMax, rMin, rMax, col, up = false) {
-    for (let i = 0; i < n; i++) {
-      const ang = up ? randf(-Math.PI, 0) : randf(0, TAU);
-      const sp = randf(spMin, spMax);
-      particles.push(new Particle(
-        x, y,
-        Math.cos(ang) * sp,
-        Math.sin(ang) * sp,
-        randf(lifeMin, lifeMax),
-        randf(rMin, rMax),
-        col
-      ));
-    }
+  const TRAIL_MIN_SPEED = 540;   // speed trails start here...
+  const TRAIL_RATE = 70;         // ...and reach this many per second at top speed
+
+  const particleQuality = () => PARTICLE_QUALITY[SAVE.settings.particles];
+
+  function emit(id, x, y, col, opts) {
+    const q = particleQuality();
+    if (q > 0) emitParticles(FX.particles, id, x, y, col, q, opts);
   }
 
-  function updateParticles(particles, dt) {
-    if (!SAVE.settings.particles) { particles.length = 0; return; }
-    const g = 1600.0;
-    const drag = 0.985;
-    const alive = [];
-    for (const p of particles) {
-      p.life -= dt;
-      if (p.life > 0) {
-        p.vy += g * dt;
-        p.vx *= Math.pow(drag, dt * 60);
-        p.vy *= Math.pow(drag, dt * 60);
-        p.x += p.vx * dt;
-        p.y += p.vy * dt;
-        alive.push(p);
-      }
+  // streaks left behind the player once the run is fast
+  function speedTrail(dt) {
+    const k = (RUN.speed - TRAIL_MIN_SPEED) / (MAX_SPEED - TRAIL_MIN_SPEED);
+    if (k <= 0 || RUN.dead) return;
+    FX.trail += TRAIL_RATE * Math.min(1, k) * dt;
+    const p = RUN.player;
+    const col = mixColor(getColor("player"), [255, 255, 255], 0.35);
+    for (; FX.trail >= 1; FX.trail -= 1) emit("speed_trail", p.x + 4, randf(p.y + 8, p.y + p.h - 8), col);
+  }
+
+  // -------------------------
+  // Zone palettes (keyed by ZONES[i].id) -- tint is laid over the background cosmetic
+  // -------------------------
+  const ZONE_PALETTES = {
+    city:  { tint: [0, 0, 0, 0.0],        star: [255, 255, 255], far: [28, 34, 48], near: [24, 30, 44] },
+    dunes: { tint: [255, 150, 70, 0.10],  star: [255, 220, 180], far: [70, 48, 40], near: [58, 38, 34] },
+    caves: { tint: [40, 90, 100, 0.12],   star: [140, 200, 200], far: [22, 40, 42], near: [18, 30, 32] },
+    moon:  { tint: [170, 170, 230, 0.08], star: [230, 230, 255], far: [60, 60, 76], near: [46, 46, 60] },
+    storm: { tint: [60, 70, 120, 0.16],   star: [170, 180, 220], far: [30, 34, 58], near: [22, 26, 44] },
+  };
+  const ZONE_FADE_T = 1.2;     // s to blend palettes
+  const BANNER_T = 2.6;        // s a zone / mission banner stays up
+
+  const mixColor = (a, b, k) => a.map((v, i) => (i < 3 ? Math.round(lerp(v, b[i], k)) : lerp(v, b[i], k)));
+
+  function zonePalette(from, to, k) {
+    const a = ZONE_PALETTES[ZONES[from].id], b = ZONE_PALETTES[ZONES[to].id];
+    if (k >= 1) return b;
+    return { tint: mixColor(a.tint, b.tint, k), star: mixColor(a.star, b.star, k), far: mixColor(a.far, b.far, k), near: mixColor(a.near, b.near, k) };
+  }
+
+  // -------------------------
+  // Sprite caches (offscreen canvases)
+  // -------------------------
+  // Static art is drawn once into offscreen canvases and blitted from then on: the parallax
+  // layers as tiles that wrap round, platforms as end and body pieces with their shadow baked
+  // in (see platformPieces), and coins. A cache
+  // key holds every color its sprite was drawn with, so equipping a cosmetic (or changing the
+  // colorblind / contrast settings) misses the cache and draws a fresh sprite; the oldest
+  // entries are dropped past a cap. SPRITES.on is only turned off by the benchmark.
+  const SPRITES = { on: true, layers: new Map(), platforms: new Map(), coins: new Map(), glows: new Map() };
+  const LAYER_CACHE_MAX = 3;      // palettes: a zone fade needs two at once
+  const SPRITE_CACHE_MAX = 64;
+  const PLATFORM_PAD = 18;        // room for the baked shadow (blur 14, 6 down)
+  // platform pieces: the left end runs until the shadow is at full strength, the body tile is
+  // four crumble-crack spacings so the cracks repeat, the right end is past the last crack
+  const PLATFORM_CAP_L = 50, PLATFORM_TILE = 136, PLATFORM_CAP_R = 12;
+  const PLATFORM_PIECES_W = PLATFORM_CAP_L + PLATFORM_TILE + PLATFORM_CAP_R;
+  const COIN_PAD = 10;            // glow and high-contrast ring
+
+  const LAYER_RES_MAX = 2;        // device px per game px the parallax tiles are drawn at, at most
+
+  // canvas at device resolution (res device px per game px); w / h are in game pixels
+  function makeCanvas(w, h, res = PIXEL_RATIO) {
+    const c = document.createElement("canvas");
+    c.width = Math.ceil(w * res);
+    c.height = Math.ceil(h * res);
+    const g = c.getContext("2d");
+    g.scale(res, res);
+    return { c, g, w, h };
+  }
+
+  // runs draw with the 2D primitives (renderer.rect, roundRectFill...) drawing into sprite
+  function drawInto(sprite, draw) {
+    const prev = ctx;
+    ctx = sprite.g;
+    try { draw(); } finally { ctx = prev; }
+    return sprite;
+  }
+
+  function cached(map, key, max, build) {
+    let v = map.get(key);
+    if (!v) {
+      if (map.size >= max) map.delete(map.keys().next().value);
+      v = build();
+      map.set(key, v);
     }
-    particles.length = 0;
-    particles.push(...alive);
+    return v;
   }
 
   // -------------------------
   // Background parallax (add subtle gradient overlay)
   // -------------------------
-  function drawParallax(camX, t) {
-    ctx.fillStyle = rgb(getColor("background"));
-    ctx.fillRect(0, 0, WIDTH, HEIGHT);
+  // star / blob layout; each layer repeats every *_P px of its own scroll (wider than any view)
+  const STAR_P = MAX_VIEW_W + 60, BLOB_P = MAX_VIEW_W + 300;
+  const STAR_H = 30 + Math.floor(HEIGHT / 2) + 2;
+  const STAR_GROUPS = 2;          // cached stars twinkle in groups (opposite phases)
+  let skyGradient = null;
+
+  function drawSky(pal, area) {
+    canvasDraw.rect(area.x, 0, area.w, HEIGHT, rgb(getColor("background")));
+    if (pal.tint[3] > 0) canvasDraw.rect(area.x, 0, area.w, HEIGHT, rgba(pal.tint, pal.tint[3]));
 
     // subtle top-to-bottom vignette/gradient
-    const grad = ctx.createLinearGradient(0, 0, 0, HEIGHT);
-    grad.addColorStop(0, "rgba(255,255,255,0.05)");
-    grad.addColorStop(1, "rgba(0,0,0,0.18)");
-    ctx.fillStyle = grad;
-    ctx.fillRect(0, 0, WIDTH, HEIGHT);
+    if (!skyGradient || !SPRITES.on) {
+      skyGradient = canvasDraw.linearGradient(0, 0, 0, HEIGHT, [[0, "rgba(255,255,255,0.05)"], [1, "rgba(0,0,0,0.18)"]]);
+    }
+    canvasDraw.rect(area.x, 0, area.w, HEIGHT, skyGradient);
+  }
+
+  // a palette's star and blob tiles (the blobs drawn again one period either side, so they
+  // run on across the tile's edges)
+  // (drawn at LAYER_RES_MAX at most: big scales would make huge tiles, and they're soft shapes)
+  function parallaxLayers(pal) {
+    const res = Math.min(PIXEL_RATIO, LAYER_RES_MAX);
+    const key = `${res}|${pal.star}|${pal.far}|${pal.near}`;
+    return cached(SPRITES.layers, key, LAYER_CACHE_MAX, () => {
+      const stars = [];
+      for (let g = 0; g < STAR_GROUPS; g++) {
+        stars.push(drawInto(makeCanvas(STAR_P, STAR_H, res), () => {
+          const dots = [];
+          for (let i = g; i < 80; i += STAR_GROUPS) {
+            const u = ((i * 173) % (WIDTH * 3)) % STAR_P;
+            const sy = 30 + (i * 97) % Math.floor(HEIGHT / 2);
+            for (const k of [-1, 0, 1]) dots.push([u + k * STAR_P, sy, 1]);
+          }
+          canvasDraw.circles(dots, rgb(pal.star));
+        }));
+      }
+      const blobs = (n, spacing, y, rad, col) => drawInto(makeCanvas(BLOB_P, HEIGHT - (y - rad), res), () => {
+        const dots = [];
+        for (let i = 0; i < n; i++) {
+          const u = (i * spacing) % BLOB_P;
+          for (const k of [-1, 0, 1]) dots.push([u + k * BLOB_P, rad, rad]);
+        }
+        canvasDraw.circles(dots, rgb(col));
+      });
+      return {
+        stars,
+        far: blobs(8, 220, HEIGHT - 220, 160, pal.far),
+        near: blobs(10, 190, HEIGHT - 160, 130, pal.near),
+      };
+    });
+  }
+
+  // tile drawn across the screen, scrolled by off (its left edge at x0 when off is 0)
+  function drawTile(tile, x0, y, off, right) {
+    let x = x0 - (((off % tile.w) + tile.w) % tile.w);
+    for (; x < right; x += tile.w) canvasDraw.image(tile.c, x, y, tile.w, tile.h);
+  }
+
+  // sky + parallax through the renderer; alpha < 1 lays this palette over what's drawn already
+  // (zone fades)
+  function drawParallax(camX, t, pal = ZONE_PALETTES.city, alpha = 1) {
+    if (reducedMotion()) { camX = 0; t = 0; } // layers hold still, stars don't twinkle
+    renderer.background(camX, t, pal, alpha);
+  }
+
+  // the Canvas2D background, drawn under the current transform across area (x, w)
+  function canvasParallax(camX, t, pal, alpha = 1, area = viewRect()) {
+    canvasDraw.alpha(alpha);
+    drawSky(pal, area);
+
+    const x0 = area.x, right = area.x + area.w;
+    if (SPRITES.on) {
+      const L = parallaxLayers(pal);
+      L.stars.forEach((tile, g) => {
+        canvasDraw.alpha(alpha * (170 + 60 * Math.sin(t * 2.1 + g * Math.PI)) / 255);
+        drawTile(tile, x0 - 30, 0, camX * 0.18, right);
+      });
+      canvasDraw.alpha(alpha);
+      drawTile(L.far, x0 - 130, HEIGHT - 380, camX * 0.28, right);
+      drawTile(L.near, x0 - 130, HEIGHT - 290, camX * 0.45, right);
+      canvasDraw.alpha(1);
+      return;
+    }
 
     const rng = makeLCG(1);
 
@@ -485,12 +1280,9 @@ window.addEventListener("error", (e) => {
     for (let i = 0; i < 80; i++) {
       const sx = (i * 173) % (WIDTH * 3);
       const sy = 30 + (i * 97) % Math.floor(HEIGHT / 2);
-      const px = Math.floor(((sx - camX * 0.18) % (WIDTH + 60)) - 30);
-      const tw = 170 + Math.floor(60 * Math.sin(t * 2.1 + i));
-      ctx.fillStyle = `rgb(${tw},${tw},${tw})`;
-      ctx.beginPath();
-      ctx.arc(px, sy, 1, 0, TAU);
-      ctx.fill();
+      const px = x0 + Math.floor(((sx - camX * 0.18) % STAR_P) - 30);
+      const tw = (170 + 60 * Math.sin(t * 2.1 + i)) / 255;
+      canvasDraw.circle(px, sy, 1, rgb(pal.star.map((v) => Math.floor(v * tw))));
       rng();
     }
 
@@ -498,25 +1290,149 @@ window.addEventListener("error", (e) => {
     for (let i = 0; i < 8; i++) {
       const x = i * 220;
       const y = HEIGHT - 220;
-      const px = Math.floor(((x - camX * 0.28) % (WIDTH + 260)) - 130);
-      ctx.fillStyle = rgb([28, 34, 48]);
-      ctx.beginPath();
-      ctx.arc(px, y, 160, 0, TAU);
-      ctx.fill();
+      const px = x0 + Math.floor(((x - camX * 0.28) % BLOB_P) - 130);
+      canvasDraw.circle(px, y, 160, rgb(pal.far));
     }
 
     // near blobs
     for (let i = 0; i < 10; i++) {
       const x = i * 190;
       const y = HEIGHT - 160;
-      const px = Math.floor(((x - camX * 0.45) % (WIDTH + 260)) - 130);
-      ctx.fillStyle = rgb([24, 30, 44]);
-      ctx.beginPath();
-      ctx.arc(px, y, 130, 0, TAU);
-      ctx.fill();
+      const px = x0 + Math.floor(((x - camX * 0.45) % BLOB_P) - 130);
+      canvasDraw.circle(px, y, 130, rgb(pal.near));
+    }
+    canvasDraw.alpha(1);
+  }
+
+  // the run's zone palette; cached layers fade by drawing both palettes, direct drawing and the
+  // shader mix them
+  function drawZoneParallax(camX, t) {
+    const k = smoothstep(FX.zone_fade);
+    if (!SPRITES.on || k >= 1 || renderer !== canvasRenderer) { drawParallax(camX, t, zonePalette(FX.zone_from, RUN.zone, k)); return; }
+    drawParallax(camX, t, ZONE_PALETTES[ZONES[FX.zone_from].id]);
+    drawParallax(camX, t, ZONE_PALETTES[ZONES[RUN.zone].id], k);
+  }
+
+  // -------------------------
+  // Renderers (Canvas2D, WebGL)
+  // -------------------------
+  // All drawing goes through the renderer. A renderer owns:
+  //   name
+  //   resize()                          after applyDisplayMode
+  //   beginFrame()                      clear the window before a frame is drawn
+  //   background(camX, t, pal, alpha)   sky + parallax under the game view
+  //   glow(x, y, r, col, strength)      a bloom light (coins)
+  //   dropGlows()                       forget this frame's lights (the pause overlay is up)
+  //   endFrame()                        after everything is drawn
+  //   lost                              true once the backend can't draw any more
+  // and the 2D primitives (see Drawing primitives): state (save, restore, translate, scale,
+  // clip, alpha, additive, shadow), shapes (clear, rect, roundRect, poly, line, circle, circles,
+  // ellipse), image, text and gradients. Both backends draw those with canvasDraw: the WebGL
+  // one only takes over the background and the lights, on layers under and over the 2D canvas.
+  // Backends are tried in RENDER_BACKENDS order and the first that comes up is used, Canvas2D
+  // last as it always works; ?renderer=canvas (or =webgl) puts one first.
+  const GLOW_STOPS = [[0, 1], [0.25, 0.78], [0.5, 0.37], [0.75, 0.1], [1, 0]];  // ~ the shader's exp(-4 d^2)
+  const GLOW_SPRITE_R = 32;
+  const COIN_GLOW = 0.35, COIN_GLOW_R = 1.5;   // coin bloom strength, radius per coin width
+
+  function glowGradient(x, y, r, col) {
+    return canvasDraw.radialGradient(x, y, r, GLOW_STOPS.map(([at, a]) => [at, rgba(col, a)]));
+  }
+
+  const canvasRenderer = {
+    ...canvasDraw,
+    name: "Canvas2D",
+    lost: false,
+    resize() {},
+    background: canvasParallax,
+    glow(x, y, r, col, strength) {
+      canvasDraw.additive(true);
+      canvasDraw.alpha(strength);
+      if (SPRITES.on) {
+        const spr = cached(SPRITES.glows, `${PIXEL_RATIO}|${col}`, SPRITE_CACHE_MAX, () => drawInto(
+          makeCanvas(GLOW_SPRITE_R * 2, GLOW_SPRITE_R * 2),
+          () => {
+            const d = GLOW_SPRITE_R * 2;
+            canvasDraw.rect(0, 0, d, d, glowGradient(GLOW_SPRITE_R, GLOW_SPRITE_R, GLOW_SPRITE_R, col));
+          }));
+        canvasDraw.image(spr.c, x - r, y - r, r * 2, r * 2);
+      } else {
+        canvasDraw.rect(x - r, y - r, r * 2, r * 2, glowGradient(x, y, r, col));
+      }
+      canvasDraw.alpha(1);
+      canvasDraw.additive(false);
+    },
+    dropGlows() {},
+    endFrame() {},
+  };
+
+  // GL canvases fixed over the window, one under the 2D canvas and one screen-blended over it
+  function glLayer(z) {
+    const c = document.createElement("canvas");
+    c.style.cssText = `position:fixed;left:0;top:0;z-index:${z};pointer-events:none`;
+    return c;
+  }
+
+  function webglRenderer() {
+    const under = glLayer(0), over = glLayer(2);
+    over.style.mixBlendMode = "screen";
+    const gl = createWebGLRenderer(under, over);
+    canvas.style.position = "relative";
+    canvas.style.zIndex = "1";
+    canvas.before(under);
+    canvas.after(over);
+    return {
+      ...canvasDraw,
+      name: "WebGL",
+      get lost() { return gl.lost; },
+      resize: () => gl.resize(WIN_W, WIN_H, DPR, VIEW_OX, VIEW_OY, VIEW_SCALE, VIEW_W),
+      // the 2D canvas is cleared over the view so the shader's sky shows through; the zone fade
+      // mixes its palettes first, so only the full-strength pass is drawn
+      background(camX, t, pal, alpha) {
+        if (alpha < 1) return;
+        const v = viewRect();
+        canvasDraw.clear(v.x, v.y, v.w, v.h);
+        gl.background(camX, t, pal, getColor("background"));
+      },
+      glow: (x, y, r, col, strength) => gl.glow(x + STAGE_X, y, r, col, strength),
+      dropGlows: gl.dropGlows,
+      endFrame: gl.flush,
+      remove() { under.remove(); over.remove(); },
+    };
+  }
+
+  const RENDER_BACKENDS = [["webgl", webglRenderer], ["canvas", () => canvasRenderer]];
+
+  function rendererFromURL() {
+    try { return new URLSearchParams(window.location.search).get("renderer"); } catch (_) { return null; }
+  }
+
+  function pickRenderer() {
+    const want = rendererFromURL();
+    const order = [...RENDER_BACKENDS].sort(([a], [b]) => (b === want) - (a === want));
+    for (const [id, make] of order) {
+      try { return make(); } catch (err) { console.warn(`${id} renderer unavailable, falling back:`, err.message); }
+    }
+    return canvasRenderer;
+  }
+
+  function useRenderer(r) {
+    if (renderer && renderer.remove) renderer.remove();
+    renderer = r;
+    renderer.resize();
+  }
+
+  // after the frame is drawn; a lost GL context drops back to Canvas2D for good
+  function endRenderFrame() {
+    renderer.endFrame();
+    if (renderer.lost) {
+      console.warn(`${renderer.name} renderer lost its context, falling back to Canvas2D`);
+      useRenderer(canvasRenderer);
     }
   }
 
+  useRenderer(pickRenderer());
+
   // -------------------------
   // Spike draw
   // -------------------------
@@ -526,111 +1442,73 @@ window.addEventListener("error", (e) => {
     const apexY = baseY - spikeH;
     const teeth = Math.max(3, Math.floor(r.w / 20));
     const segW = r.w / teeth;
-
-    ctx.fillStyle = rgb(col);
+    const fill = rgb(col), outline = hcOutline();
 
     for (let i = 0; i < teeth; i++) {
       const x0 = r.x + i * segW;
       const x1 = r.x + (i + 1) * segW;
       const xm = (x0 + x1) / 2;
+      const base = Math.floor(baseY);
+      renderer.poly([Math.floor(x0), base, Math.floor(x1), base, Math.floor(xm), Math.floor(apexY)], fill, outline);
+    }
 
-      ctx.beginPath();
-      ctx.moveTo(Math.floor(x0), Math.floor(baseY));
-      ctx.lineTo(Math.floor(x1), Math.floor(baseY));
-      ctx.lineTo(Math.floor(xm), Math.floor(apexY));
-      ctx.closePath();
-      ctx.fill();
-    }
-
-    ctx.strokeStyle = rgba(col, 0.9);
-    ctx.lineWidth = 1;
-    ctx.beginPath();
-    ctx.moveTo(r.x, baseY);
-    ctx.lineTo(r.x + r.w, baseY);
-    ctx.stroke();
+    renderer.line([r.x, baseY, r.x + r.w, baseY], rgba(col, 0.9), 1);
   }
 
-  // -------------------------
-  // Collision: vertical sweep
-  // -------------------------
-  function collideVerticalSweep(player, pyFloat, dy, platforms) {
-    if (dy === 0) return { pyFloat, landed: false, bumped: false };
-
-    const steps = Math.floor(Math.abs(dy) / 6) + 1;
-    const step = dy / steps;
-
-    for (let s = 0; s < steps; s++) {
-      const prevTop = player.y;
-      const prevBottom = player.y + player.h;
-
-      pyFloat += step;
-      player.y = Math.floor(pyFloat);
+  // high contrast: the outline color shapes get, or null
+  const hcOutline = () => (highContrast() ? rgb(HC_OUTLINE) : null);
+
+  // spikes hanging from a strip at the top of r
+  function ceilingSpikeDraw(r, col) {
+    renderer.save();
+    renderer.translate(0, r.y * 2 + r.h);
+    renderer.scale(1, -1);
+    spikeDraw(r, col);
+    renderer.restore();
+    renderer.rect(r.x - 4, r.y - 6, r.w + 8, 6, rgba(col, 0.6));
+  }
 
-      if (step > 0) {
-        for (const p of platforms) {
-          if (colliderect(player, p) && prevBottom <= p.y) {
-            player.y = p.y - player.h;
-            return { pyFloat: player.y, landed: true, bumped: false };
-          }
-        }
-      } else {
-        for (const p of platforms) {
-          if (colliderect(player, p) && prevTop >= p.y + p.h) {
-            player.y = p.y + p.h;
-            return { pyFloat: player.y, landed: false, bumped: true };
-          }
-        }
-      }
+  // hazard-striped bar with posts up out of view
+  function barDraw(r, col) {
+    renderer.rect(r.x + 4, 0, 4, r.y, "rgba(0,0,0,0.35)");
+    renderer.rect(r.x + r.w - 8, 0, 4, r.y, "rgba(0,0,0,0.35)");
+    renderer.rect(r.x, r.y, r.w, r.h, rgb(col));
+    renderer.save();
+    renderer.clip(r.x, r.y, r.w, r.h);
+    for (let x = r.x - r.h; x < r.x + r.w; x += r.h * 2) {
+      renderer.poly([x, r.y + r.h, x + r.h, r.y, x + r.h * 2, r.y, x + r.h, r.y + r.h], "rgba(20,20,28,0.75)");
     }
+    renderer.restore();
+    if (highContrast()) renderer.rect(r.x, r.y, r.w, r.h, null, hcOutline());
+  }
 
-    return { pyFloat, landed: false, bumped: false };
+  // spinning blade; ang in radians
+  function sawDraw(cx, cy, rad, ang, col) {
+    const teeth = 10;
+    const pts = [];
+    for (let i = 0; i < teeth * 2; i++) {
+      const a = ang + (i / (teeth * 2)) * TAU;
+      const rr = i % 2 ? rad * 0.78 : rad;
+      pts.push(cx + Math.cos(a) * rr, cy + Math.sin(a) * rr);
+    }
+    renderer.poly(pts, rgb(col), hcOutline());
+    renderer.circle(cx, cy, rad * 0.28, "rgba(20,20,28,0.8)");
   }
 
   // -------------------------
-  // Modes / game constants
+  // Modes + run params
   // -------------------------
   const MODE_MENU = "menu";
   const MODE_PLAY = "play";
   const MODE_SHOP = "shop";
   const MODE_SETTINGS = "settings";
   const MODE_DEAD = "dead";
+  const MODE_STATS = "stats";
+  const MODE_BENCH = "bench";
 
   let mode = MODE_MENU;
   let paused = false;
 
-  const GROUND_H = 80;
-  const GROUND_Y = HEIGHT - GROUND_H;
-
-  const JUMP_CUT_MULT = 0.55;
-
-  const BASE_SPEED = 320.0;
-  const MAX_SPEED = 820.0;
-  const SPEED_RAMP = 7.0;
-
-  const GRAVITY = 2100.0;
-  const BASE_JUMP_V = 880.0;
-  const MAX_FALL_V = 1500.0;
-
-  const BASE_COYOTE = 0.10;
-  const BASE_JUMP_BUF = 0.12;
-
-  const MIN_GAP = 150;
-  const MAX_GAP = 340;
-
-  const PLATFORM_MIN_W = 160;
-  const PLATFORM_MAX_W = 380;
-  const PLATFORM_MIN_H = 18;
-  const PLATFORM_MAX_H = 28;
-
-  const HEIGHT_LEVELS = [0, 70, 120, 170];
-
-  const MIN_REACTION_T = 0.60;
-  const MAX_REACTION_T = 1.00;
-  const MIN_HAZARD_SEP_T = 0.70;
-
-  const HAZARD_CHANCE = 0.52;
-  const COIN_CHANCE = 0.62;
-
   function runParamsFromUpgrades() {
     const u = SAVE.upgrades;
     return {
@@ -638,6 +1516,12 @@ window.addEventListener("error", (e) => {
       coyoteT: BASE_COYOTE + 0.02 * u.coyote,
       coinMul: 1 + 0.20 * u.coin_mult,
       magnetPx: 0 + 26 * u.magnet,
+      pits: !!SAVE.settings.pit_mode,
+      powerupT: Object.fromEntries(POWERUP_UPGRADES.map((key) => {
+        const kind = UPGRADES[key].powerup;
+        return [kind, POWERUP_BASE_T[kind] + POWERUP_T_STEP[kind] * u[key]];
+      })),
+      scoreMul: SAVE.missions.score_mul,
     };
   }
 
@@ -649,149 +1533,353 @@ window.addEventListener("error", (e) => {
     uiFade: 1,         // 0..1
   };
 
-  function newRunState() {
-    const { jumpV, coyoteT, coinMul, magnetPx } = runParamsFromUpgrades();
-    const s = {
-      cam_x: 0.0,
-      speed: BASE_SPEED,
-      score: 0,
-      score_f: 0.0,
-      coins_run: 0,
-      player: rect(160, GROUND_Y - 58, 44, 58),
-      py: (GROUND_Y - 58),
-      vy: 0.0,
-      on_ground: true,
-      coyote: 0.0,
-      jump_buf: 0.0,
-      jump_v: jumpV,
-      coyote_t: coyoteT,
-      coin_mul: coinMul,
-      magnet_px: magnetPx,
-      platforms: [],
-      hazards: [],
-      coins_list: [],
-      particles: [],
-      shake_t: 0.0,
-      shake_mag: 0.0,
-      next_spawn_x: 0.0,
-      last_platform_top: GROUND_Y,
-      last_hazard_x: -10_000_000,
-      jump_cut: false,
-      jump_time: 0.0,
-    };
+  let RUN = createRun(runParamsFromUpgrades(), randomSeed());
+
+  // render-only run state (never read by the simulation)
+  const FX = {
+    particles: createParticles(),
+    trail: 0,        // speed trail particles owed
+    shake_t: 0.0,
+    shake_mag: 0.0,
+    zone_from: 0,    // palette being faded out
+    zone_fade: 1.0,  // 0..1 towards RUN.zone
+    banners: [],     // { kicker, title, col, t } queue, front one on screen
+  };
 
-    const starter = rect(0, GROUND_Y - 24, WIDTH + 1200, 24);
-    s.platforms.push(starter);
-    s.next_spawn_x = starter.x + starter.w + 140;
-    s.last_platform_top = starter.y;
-    return s;
+  function addShake(mag, t = 0.14) {
+    if (!SAVE.settings.screenshake || reducedMotion()) return;
+    FX.shake_mag = Math.max(FX.shake_mag, mag);
+    FX.shake_t = Math.max(FX.shake_t, t);
   }
 
-  let RUN = newRunState();
+  function resetRun(seed = nextRunSeed(), params = runParamsFromUpgrades()) {
+    RUN = createRun(params, seed);
+    clearParticles(FX.particles);
+    FX.trail = 0;
+    FX.shake_t = 0.0;
+    FX.shake_mag = 0.0;
+    FX.zone_from = 0;
+    FX.zone_fade = 1.0;
+    FX.banners.length = 0;
+    ACH_RUN.landings = 0;
+    ACH_RUN.nocut_t = 0;
+    for (const id in MISSION_RUN) delete MISSION_RUN[id];
+    JUICE.playerSquash = 0;
+    JUICE.playerStretch = 0;
+    simAccum = 0;
+    playback = null;
+    dailyRun = null;
+    recording = newRecording(RUN.seed, params);
+  }
 
-  function addShake(mag, t = 0.14) {
-    if (!SAVE.settings.screenshake) return;
-    RUN.shake_mag = Math.max(RUN.shake_mag, mag);
-    RUN.shake_t = Math.max(RUN.shake_t, t);
+  function runPayout() {
+    const base = Math.floor(RUN.coins_run * RUN.coin_mul);
+    return dailyRun && dailyRun.rewarded ? base * DAILY_REWARD_MUL + DAILY_REWARD_FLAT : base;
   }
 
-  function ensureGenerationAhead() {
-    const camX = RUN.cam_x;
-    while (RUN.next_spawn_x < camX + WIDTH * 2.2) spawnChunk();
+  function awardMoneyAndSave() {
+    if (playback) return; // watching a replay never pays out
+    const payout = runPayout();
+    SAVE.money += payout;
+    updateBestScore(false);
+    recordRun(payout);
+    checkAchievements();
+    checkMissions();
+    saveSave(SAVE);
   }
 
-  function cleanupLists() {
-    const camX = RUN.cam_x;
-    const keep = (r) => (r.x + r.w) >= (camX - 280);
-    RUN.platforms = RUN.platforms.filter(keep);
-    RUN.hazards = RUN.hazards.filter(keep);
-    RUN.coins_list = RUN.coins_list.filter(keep);
+  // -------------------------
+  // Run history (stats screen)
+  // -------------------------
+  const PX_PER_M = 50;     // world px per displayed metre
+
+  function recordRun(payout) {
+    const run = {
+      at: Date.now(),
+      score: RUN.score,
+      coins: RUN.coins_run,
+      payout,
+      distance: Math.round(RUN.cam_x / PX_PER_M),
+      duration: Math.round(RUN.time * 10) / 10,
+      cause: RUN.death_cause || "spike",
+      seed: RUN.seed,
+      daily: dailyRun ? dailyRun.key : null,
+      cosmetics: { ...SAVE.cosmetics },
+      upgrades: { ...SAVE.upgrades },
+    };
+
+    const lt = SAVE.lifetime;
+    lt.runs += 1;
+    lt.score += run.score;
+    lt.coins += run.coins;
+    lt.money += payout;
+    lt.distance += run.distance;
+    lt.time += run.duration;
+
+    const h = SAVE.history;
+    h.push(run);
+    if (h.length > HISTORY_MAX) {
+      const top = new Set(topRuns(10));
+      const drop = h.findIndex((r) => !top.has(r));
+      h.splice(drop, 1);
+    }
   }
 
-  function spawnChunk() {
-    const camX = RUN.cam_x;
-    const speed = RUN.speed;
-    const x = RUN.next_spawn_x;
+  const topRuns = (n) => SAVE.history.slice().sort((a, b) => b.score - a.score || a.at - b.at).slice(0, n);
 
-    const w = randi(PLATFORM_MIN_W, PLATFORM_MAX_W);
-    const h = randi(PLATFORM_MIN_H, PLATFORM_MAX_H);
+  // the daily keeps its own per-day best instead of touching best_score
+  function updateBestScore(saveNow = false) {
+    if (playback) return;
+    if (dailyRun) {
+      const best = SAVE.daily.best;
+      best[dailyRun.key] = Math.max(best[dailyRun.key] || 0, RUN.score);
+    } else {
+      SAVE.best_score = Math.max(SAVE.best_score, RUN.score);
+    }
+    if (saveNow) saveSave(SAVE);
+  }
 
-    const prevTop = RUN.last_platform_top;
+  // -------------------------
+  // Daily challenge (seed + modifiers from the date, one bonus attempt per day)
+  // -------------------------
+  const DAILY_REWARD_MUL = 2;
+  const DAILY_REWARD_FLAT = 50;
+  const DAILY_KEEP_DAYS = 30;
 
-    const prevLevel = HEIGHT_LEVELS.reduce((best, lvl) => {
-      const candTop = (GROUND_Y - 24) - lvl;
-      const bestTop = (GROUND_Y - 24) - best;
-      return Math.abs(candTop - prevTop) < Math.abs(bestTop - prevTop) ? lvl : best;
-    }, HEIGHT_LEVELS[0]);
+  let dailyRun = null; // { key, mods, rewarded } while a daily run is on screen
 
-    const candidates = HEIGHT_LEVELS.slice();
-    const extra = speed > 520 ? 3 : 2;
-    for (let i = 0; i < extra; i++) candidates.push(prevLevel);
+  // streak only counts if the last daily played was today or yesterday
+  function dailyStreak(key = dailyKey()) {
+    const d = SAVE.daily;
+    return d.last_day === key || d.last_day === prevDailyKey(key) ? d.streak : 0;
+  }
 
-    const lvl = candidates[randi(0, candidates.length - 1)];
-    let topY = (GROUND_Y - 24) - lvl;
+  function startDaily() {
+    const key = dailyKey();
+    const d = SAVE.daily;
+    const rewarded = d.rewarded_day !== key;
+    if (rewarded) {
+      d.streak = dailyStreak(key) + 1;
+      d.last_day = key;
+      d.rewarded_day = key;
+      const keep = Object.keys(d.best).sort().slice(-DAILY_KEEP_DAYS);
+      d.best = Object.fromEntries(keep.map((k) => [k, d.best[k]]));
+      saveSave(SAVE);
+    }
+    const mods = dailyMods(key);
+    resetRun(dailySeed(key), applyMods(runParamsFromUpgrades(), mods));
+    dailyRun = { key, mods, rewarded };
+  }
 
-    const maxStep = speed < 520 ? 170 : 125;
-    if (Math.abs(topY - prevTop) > maxStep) topY = topY > prevTop ? prevTop + maxStep : prevTop - maxStep;
+  // -------------------------
+  // Replays (fixed-step input log + deterministic playback)
+  // -------------------------
+  const SIM_DT = 1 / 120;
+  const REPLAY_VERSION = 1;
 
-    const platform = rect(Math.floor(x), Math.floor(topY), Math.floor(w), Math.floor(h));
-    RUN.platforms.push(platform);
+  // per-tick input flags, run-length encoded as [flags, count] pairs
+  const IN_PRESSED = 1, IN_HELD = 2, IN_RELEASED = 4;
 
-    let hazChance = HAZARD_CHANCE;
-    if (speed > 650) hazChance *= 0.78;
+  let simAccum = 0.0;
+  let recording = null;    // log being written by the live run
+  let playback = null;     // { rep, seg, left, tick } while watching a replay
+  let lastReplay = null;   // last finished (or imported) log, offered on the dead screen
+  let replayStatus = null; // "match" | "desync" after watching one
 
-    if (Math.random() < hazChance) {
-      const hzW = randi(30, 68);
-      const hzH = randi(32, 62);
+  function newRecording(seed, params) {
+    return { v: REPLAY_VERSION, seed, params: { ...params }, ticks: 0, inputs: [], result: null };
+  }
 
-      const reactionPxMin = Math.floor(speed * MIN_REACTION_T);
-      const reactionPxMax = Math.floor(speed * MAX_REACTION_T);
+  function recordTick(rec, flags) {
+    const last = rec.inputs[rec.inputs.length - 1];
+    if (last && last[0] === flags) last[1] += 1;
+    else rec.inputs.push([flags, 1]);
+    rec.ticks += 1;
+  }
 
-      let hx = randi(Math.floor(x - reactionPxMax), Math.floor(x - reactionPxMin));
-      hx = Math.max(Math.floor(camX + WIDTH + 70), hx);
+  function nextPlaybackFlags(pb) {
+    while (pb.left <= 0) {
+      pb.seg += 1;
+      if (pb.seg >= pb.rep.inputs.length) return null;
+      pb.left = pb.rep.inputs[pb.seg][1];
+    }
+    pb.left -= 1;
+    pb.tick += 1;
+    return pb.rep.inputs[pb.seg][0];
+  }
 
-      const minSepPx = Math.floor(speed * MIN_HAZARD_SEP_T);
-      if (hx - RUN.last_hazard_x < minSepPx) hx = RUN.last_hazard_x + minSepPx;
-      RUN.last_hazard_x = hx;
+  function isValidReplay(rep) {
+    const num = (v) => typeof v === "number" && Number.isFinite(v);
+    if (!rep || typeof rep !== "object" || rep.v !== REPLAY_VERSION) return false;
+    if (!Number.isInteger(rep.seed) || rep.seed < 0 || rep.seed > 0xffffffff) return false;
+    const p = rep.params;
+    if (!p || !num(p.jumpV) || !num(p.coyoteT) || !num(p.coinMul) || !num(p.magnetPx)) return false;
+    if ("pits" in p && typeof p.pits !== "boolean") return false;
+    if ("powerupT" in p && (!p.powerupT || !POWERUP_KINDS.every((k) => num(p.powerupT[k])))) return false;
+    if (("gravityMul" in p && !num(p.gravityMul)) || ("hazardMul" in p && !num(p.hazardMul))) return false;
+    if ("noMagnet" in p && typeof p.noMagnet !== "boolean") return false;
+    if ("scoreMul" in p && !num(p.scoreMul)) return false;
+    if (!Array.isArray(rep.inputs)) return false;
+    return rep.inputs.every((seg) =>
+      Array.isArray(seg) && seg.length === 2 &&
+      Number.isInteger(seg[0]) && seg[0] >= 0 && seg[0] <= 7 &&
+      Number.isInteger(seg[1]) && seg[1] > 0);
+  }
 
-      hx = clamp(hx, platform.x, platform.x + platform.w - hzW);
-      const spikeBottom = platform.y + 2;
-      RUN.hazards.push(rect(Math.floor(hx), Math.floor(spikeBottom - hzH), Math.floor(hzW), Math.floor(hzH)));
+  function startReplay(rep) {
+    resetRun(rep.seed, rep.params);
+    recording = null;
+    playback = { rep, seg: 0, left: rep.inputs.length ? rep.inputs[0][1] : 0, tick: 0 };
+    replayStatus = null;
+    paused = false;
+    mode = MODE_PLAY;
+  }
+
+  function finishRunLog() {
+    if (playback) {
+      const r = playback.rep.result;
+      const same = !!r && r.score === RUN.score && r.coins === RUN.coins_run && r.ticks === playback.tick;
+      replayStatus = same ? "match" : "desync";
+      playback = null;
+    } else if (recording) {
+      recording.result = { score: RUN.score, coins: RUN.coins_run, ticks: recording.ticks };
+      lastReplay = recording;
+      recording = null;
+      replayStatus = null;
+    }
+  }
+
+  // one fixed simulation step; edge flags are consumed by the first tick that sees them
+  function simTick() {
+    let flags;
+    if (playback) {
+      flags = nextPlaybackFlags(playback);
+      if (flags === null) { finishRunLog(); mode = MODE_DEAD; return; } // log ran out before the death
+    } else {
+      flags = (jumpPressed ? IN_PRESSED : 0) | (isJumpHeld() ? IN_HELD : 0) | (jumpReleased ? IN_RELEASED : 0);
+      if (recording) recordTick(recording, flags);
     }
+    jumpPressed = false;
+    jumpReleased = false;
 
-    if (Math.random() < COIN_CHANCE) {
-      const n = randi(3, 7);
-      const baseX = platform.x + randi(20, Math.max(20, platform.w - 20));
-      const baseY = platform.y - 54;
-      const arc = Math.random() < 0.55;
+    playUpdate(SIM_DT, (flags & IN_PRESSED) !== 0, (flags & IN_HELD) !== 0, (flags & IN_RELEASED) !== 0);
+    if (mode !== MODE_PLAY) finishRunLog();
+  }
 
-      for (let i = 0; i < n; i++) {
-        const cx = baseX + i * 34;
-        const cy = arc ? baseY - Math.floor(18 * Math.sin((i / Math.max(1, n - 1)) * Math.PI)) : baseY;
-        RUN.coins_list.push(rect(Math.floor(cx), Math.floor(cy), 18, 18));
-      }
+  function stepSimulation(dt) {
+    simAccum += dt;
+    while (simAccum >= SIM_DT && mode === MODE_PLAY) {
+      simAccum -= SIM_DT;
+      simTick();
     }
+  }
 
-    RUN.next_spawn_x = platform.x + platform.w + randi(MIN_GAP, MAX_GAP);
-    RUN.last_platform_top = platform.y;
+  function downloadJSON(filename, data) {
+    const blob = new Blob([JSON.stringify(data)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
   }
 
-  function resetRun() {
-    RUN = newRunState();
-    ensureGenerationAhead();
-    JUICE.playerSquash = 0;
-    JUICE.playerStretch = 0;
+  function pickJSONFile(onData) {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = ".json,application/json";
+    input.addEventListener("change", () => {
+      const file = input.files && input.files[0];
+      if (!file) return;
+      // onData runs exactly once: null for an unreadable file or bad JSON, and an error it
+      // throws itself isn't mistaken for a bad file
+      file.text().then((txt) => {
+        let data = null;
+        try { data = JSON.parse(txt); } catch (_) {}
+        onData(data);
+      }, () => onData(null));
+    });
+    input.click();
   }
 
-  function awardMoneyAndSave() {
-    SAVE.money += Math.floor(RUN.coins_run * RUN.coin_mul);
-    SAVE.best_score = Math.max(SAVE.best_score, RUN.score);
-    saveSave(SAVE);
+  function exportReplay() {
+    if (!lastReplay) return;
+    sfx.click();
+    const score = lastReplay.result ? lastReplay.result.score : 0;
+    downloadJSON(`runner-replay-${lastReplay.seed}-${score}.json`, lastReplay);
   }
 
-  function updateBestScore(saveNow = false) {
-    SAVE.best_score = Math.max(SAVE.best_score, RUN.score);
-    if (saveNow) saveSave(SAVE);
+  function importReplay() {
+    sfx.click();
+    pickJSONFile((data) => {
+      if (!isValidReplay(data)) { window.alert("That file is not a valid replay."); return; }
+      lastReplay = data;
+      startReplay(data);
+    });
+  }
+
+  // -------------------------
+  // Save transfer (JSON file or a copyable code, see save.js)
+  // -------------------------
+  let settingsImport = null;  // { data, source } waiting for the player to confirm
+  let settingsMessage = null; // one-line result of the last export / import
+
+  function exportSaveFile() {
+    sfx.click();
+    downloadJSON(`runner-save-${dailyKey()}.json`, SAVE);
+    settingsMessage = "Save file downloaded.";
+  }
+
+  function exportSaveCode() {
+    sfx.click();
+    saveToCode(SAVE).then((code) => {
+      const fallback = () => { window.prompt("Copy your save code:", code); };
+      if (navigator.clipboard && navigator.clipboard.writeText) {
+        navigator.clipboard.writeText(code).then(() => { settingsMessage = "Save code copied to the clipboard."; }, fallback);
+      } else {
+        fallback();
+      }
+    }, (err) => { settingsMessage = `Export failed: ${err.message}.`; });
+  }
+
+  // anything that survives normalizeSave goes to the preview; nothing is written yet
+  function offerImport(obj, source) {
+    try {
+      settingsImport = { data: normalizeSave(obj, SAVE_SCHEMA), source };
+      settingsMessage = null;
+    } catch (err) {
+      settingsImport = null;
+      settingsMessage = `Import failed: ${err.message}.`;
+    }
+  }
+
+  function importSaveFile() {
+    sfx.click();
+    pickJSONFile((data) => offerImport(data, "file"));
+  }
+
+  function importSaveCode() {
+    sfx.click();
+    const input = window.prompt("Paste a save code:");
+    if (!input) return;
+    saveFromCode(input).then(
+      (obj) => offerImport(obj, "code"),
+      (err) => { settingsMessage = `Import failed: ${err.message}.`; },
+    );
+  }
+
+  // the current save goes into a backup slot first, so an import can be undone from there
+  function applyImport() {
+    try { writeBackup(storage, saveKey, JSON.stringify(SAVE), Date.now(), true); } catch (_) {}
+    SAVE = settingsImport.data;
+    settingsImport = null;
+    saveSave(SAVE);
+    setFullscreen(SAVE.settings.fullscreen);
+    resetRun();
+    settingsMessage = "Save imported.";
+    sfx.click();
   }
 
   // -------------------------
@@ -799,40 +1887,126 @@ window.addEventListener("error", (e) => {
   // -------------------------
   function drawTopBar(title) {
     // top bar with slight shadow
-    softShadow(true);
-    ctx.fillStyle = rgb([24, 26, 36]);
-    ctx.fillRect(0, 0, WIDTH, 72);
-    softShadow(false);
-
-    ctx.strokeStyle = rgb([60, 64, 80]);
-    ctx.lineWidth = 2;
-    ctx.beginPath();
-    ctx.moveTo(0, 72);
-    ctx.lineTo(WIDTH, 72);
-    ctx.stroke();
+    renderer.shadow(true);
+    const v = viewRect();
+    renderer.rect(v.x, 0, v.w, 72, rgb([24, 26, 36]));
+    renderer.shadow(false);
+    renderer.line([v.x, 72, v.x + v.w, 72], rgb([60, 64, 80]), 2);
 
     drawText(title, 18, 16, 58, [245, 245, 250]);
-    drawText(`Money: ${SAVE.money}`, WIDTH - 210, 24, 30, [245, 245, 250]);
+    drawText(`Money: ${SAVE.money}`, WIDTH - 210, 36 - ts(15), 30, [245, 245, 250], "left", 1, 200);
   }
 
   function drawPanel(x, y, w, h) {
-    softShadow(true);
+    renderer.shadow(true);
     roundRectFill(x, y, w, h, 18, [26, 28, 40], [80, 86, 108], 2);
-    softShadow(false);
+    renderer.shadow(false);
     return rect(x, y, w, h);
   }
 
   // -------------------------
   // Run rendering (extra polish)
   // -------------------------
+  // platform r (screen space) with its shadow, top highlight and kind markings
+  function platformDraw(r, kind, col) {
+    renderer.shadow(true);
+    renderer.rect(r.x, r.y, r.w, r.h, rgb(col));
+    renderer.shadow(false);
+
+    renderer.rect(r.x, r.y, r.w, 3, "rgba(255,255,255,0.15)");
+
+    if (kind === "crumble") {
+      for (let cx = r.x + 18; cx < r.x + r.w - 10; cx += 34) {
+        renderer.line([cx, r.y + 2, cx + 6, r.y + r.h * 0.5, cx - 2, r.y + r.h], "rgba(0,0,0,0.45)", 2);
+      }
+    } else if (kind === "moving") {
+      renderer.rect(r.x + 6, r.y + r.h - 4, r.w - 12, 2, "rgba(255,255,255,0.25)");
+    }
+  }
+
+  // Draws a platform from its cached pieces: the left end, the body tile repeated (the last one
+  // cut short) and the right end. One sprite per kind, color and height covers every width.
+  function platformPieces(r, kind, col) {
+    const spr = cached(SPRITES.platforms, `${PIXEL_RATIO}|${r.h}|${kind}|${col}`, SPRITE_CACHE_MAX, () => drawInto(
+      makeCanvas(PLATFORM_PIECES_W + PLATFORM_PAD * 2, r.h + PLATFORM_PAD * 2),
+      () => platformDraw(rect(PLATFORM_PAD, PLATFORM_PAD, PLATFORM_PIECES_W, r.h), kind, col)));
+    const y = r.y - PLATFORM_PAD;
+    // sx / w / dx in game px; the sprite is PIXEL_RATIO device px per game px
+    const piece = (sx, w, dx) => renderer.image(spr.c, dx, y, w, spr.h,
+      rect(sx * PIXEL_RATIO, 0, w * PIXEL_RATIO, spr.c.height));
+
+    piece(0, PLATFORM_PAD + PLATFORM_CAP_L, r.x - PLATFORM_PAD);
+    const bodyEnd = r.x + r.w - PLATFORM_CAP_R;
+    for (let x = r.x + PLATFORM_CAP_L; x < bodyEnd; x += PLATFORM_TILE) {
+      const w = Math.min(PLATFORM_TILE, bodyEnd - x);
+      if (x + w >= 0 && x <= VIEW_W) piece(PLATFORM_PAD + PLATFORM_CAP_L, w, x);
+    }
+    piece(PLATFORM_PAD + PLATFORM_PIECES_W - PLATFORM_CAP_R, PLATFORM_CAP_R + PLATFORM_PAD, bodyEnd);
+  }
+
+  // coin body: glow, fill, rings (the sparkle is drawn live on top)
+  function coinDraw(cx, cy, rx, ry, col) {
+    // glow
+    renderer.ellipse(cx, cy, rx + 6, ry + 6, rgba(col, 0.18));
+
+    // body
+    if (highContrast()) {
+      // dark ring inside a white one reads on any background
+      renderer.ellipse(cx, cy, rx, ry, rgb(col), rgb([10, 12, 16]), 3);
+      renderer.ellipse(cx, cy, rx + 2.5, ry + 2.5, null, hcOutline());
+    } else {
+      renderer.ellipse(cx, cy, rx, ry, rgb(col));
+    }
+
+    // inner ring
+    renderer.ellipse(cx, cy, Math.max(2, rx - 3), Math.max(2, ry - 3), null, rgb(mixColor(col, [255, 255, 255], 0.5)), 2);
+  }
+
+  const particleRGBA = [0, 0, 0, 0];
+
+  function drawParticles(ps, shakeX, shakeY) {
+    for (let i = 0; i < ps.n; i++) {
+      const c = particleColor(ps, i, particleRGBA);
+      if (c[3] <= 0.01) continue;
+      const px = ps.x[i] - RUN.cam_x + shakeX;
+      const py = ps.y[i] + shakeY;
+      const r = ps.size[i];
+      const shape = particleShape(ps, i);
+      const fill = rgba(c, c[3]);
+      if (shape === SHAPE_SQUARE) {
+        renderer.rect(px - r, py - r, r * 2, r * 2, fill);
+      } else if (shape === SHAPE_SPARK) {
+        // four-point twinkle: a thin cross
+        renderer.rect(px - r * 1.6, py - r * 0.35, r * 3.2, r * 0.7, fill);
+        renderer.rect(px - r * 0.35, py - r * 1.6, r * 0.7, r * 3.2, fill);
+      } else if (shape === SHAPE_STREAK) {
+        // line back along its motion (relative to the camera, which runs at RUN.speed)
+        const vx = ps.vx[i] - RUN.speed, vy = ps.vy[i];
+        const len = Math.hypot(vx, vy) || 1;
+        const k = Math.min(0.03, 14 / len);
+        renderer.line([px, py, px - vx * k, py - vy * k], fill, r * 0.8);
+      } else {
+        renderer.circle(px, py, r, fill);
+      }
+    }
+  }
+
   function runDraw(shakeX, shakeY, t) {
-    drawParallax(RUN.cam_x, t);
+    drawZoneParallax(RUN.cam_x, t);
 
     // ground with highlight
-    ctx.fillStyle = rgb(GROUND);
-    ctx.fillRect(0, Math.floor(GROUND_Y + shakeY), WIDTH, GROUND_H);
-    ctx.fillStyle = "rgba(255,255,255,0.10)";
-    ctx.fillRect(0, Math.floor(GROUND_Y + shakeY), WIDTH, 6);
+    renderer.rect(0, Math.floor(GROUND_Y + shakeY), VIEW_W, GROUND_H, rgb(GROUND));
+    renderer.rect(0, Math.floor(GROUND_Y + shakeY), VIEW_W, 6, "rgba(255,255,255,0.10)");
+
+    // pits (cut back out of the ground)
+    for (const p of RUN.pits) {
+      const x = Math.floor(p.x - RUN.cam_x + shakeX);
+      if (x > VIEW_W || x + p.w < 0) continue;
+      const y = Math.floor(GROUND_Y + shakeY);
+      renderer.rect(x, y, p.w, GROUND_H, rgb(getColor("background")));
+      const grad = renderer.linearGradient(0, y, 0, y + GROUND_H, [[0, "rgba(0,0,0,0.15)"], [1, "rgba(0,0,0,0.65)"]]);
+      renderer.rect(x, y, p.w, GROUND_H, grad);
+    }
 
     // platforms
     const platCol = getColor("platform");
@@ -840,81 +2014,89 @@ window.addEventListener("error", (e) => {
       const r = copyRect(p);
       r.x = Math.floor(r.x - RUN.cam_x + shakeX);
       r.y = Math.floor(r.y + shakeY);
+      if (r.x > VIEW_W || r.x + r.w < 0) continue;
+
+      if (p.kind === "moving") {
+        // rail it bobs along
+        const railY = Math.floor(p.baseY - p.amp + shakeY);
+        renderer.rect(r.x + r.w / 2 - 2, railY, 4, p.amp * 2 + r.h, "rgba(255,255,255,0.08)");
+      } else if (p.kind === "crumble" && p.crumble_t > 0 && !reducedMotion()) {
+        r.x += Math.round(Math.sin(t * 90) * 2); // shaking before it drops
+      }
 
-      softShadow(true);
-      ctx.fillStyle = rgb(platCol);
-      ctx.fillRect(r.x, r.y, r.w, r.h);
-      softShadow(false);
-
-      ctx.fillStyle = "rgba(255,255,255,0.15)";
-      ctx.fillRect(r.x, r.y, r.w, 3);
+      if (SPRITES.on && r.w >= PLATFORM_CAP_L + PLATFORM_CAP_R) {
+        platformPieces(r, p.kind, platCol);
+      } else {
+        platformDraw(r, p.kind, platCol);
+      }
     }
 
-    // spikes
-    const spikeCol = getColor("spike");
+    // hazards
+    const spikeCol = hazardColor();
     for (const h of RUN.hazards) {
       const r = copyRect(h);
       r.x = Math.floor(r.x - RUN.cam_x + shakeX);
       r.y = Math.floor(r.y + shakeY);
-      spikeDraw(r, spikeCol);
+      if (h.kind === "ceiling") ceilingSpikeDraw(r, spikeCol);
+      else if (h.kind === "bar") barDraw(r, spikeCol);
+      else if (h.kind === "saw") {
+        const tx = Math.floor(h.bounds.x - RUN.cam_x + shakeX);
+        renderer.rect(tx + h.w / 2, r.y + r.h / 2 - 2, h.track, 4, "rgba(0,0,0,0.45)");
+        sawDraw(r.x + r.w / 2, r.y + r.h / 2, r.w / 2, RUN.world_t * 9, spikeCol);
+      } else spikeDraw(r, spikeCol);
     }
 
     // coins (sparkle + pulse)
-    const pulse = 1 + 0.08 * Math.sin(t * 10);
+    const still = reducedMotion();
+    const pulse = still ? 1 : 1 + 0.08 * Math.sin(t * 10);
+    const coinCol = coinColor();
     for (const c of RUN.coins_list) {
       const r = copyRect(c);
       r.x = Math.floor(r.x - RUN.cam_x + shakeX);
       r.y = Math.floor(r.y + shakeY);
 
       const cx = r.x + r.w / 2, cy = r.y + r.h / 2;
-      const rx = (r.w / 2) * pulse, ry = (r.h / 2) * pulse;
-
-      // glow
-      ctx.fillStyle = "rgba(255,215,90,0.18)";
-      ctx.beginPath();
-      ctx.ellipse(cx, cy, rx + 6, ry + 6, 0, 0, TAU);
-      ctx.fill();
 
-      // body
-      ctx.fillStyle = rgb(COIN_C);
-      ctx.beginPath();
-      ctx.ellipse(cx, cy, rx, ry, 0, 0, TAU);
-      ctx.fill();
-
-      // inner ring
-      ctx.strokeStyle = rgb([255, 240, 170]);
-      ctx.lineWidth = 2;
-      ctx.beginPath();
-      ctx.ellipse(cx, cy, Math.max(2, rx - 3), Math.max(2, ry - 3), 0, 0, TAU);
-      ctx.stroke();
+      if (SPRITES.on) {
+        // drawn at rest size, the pulse scales the blit
+        const key = `${PIXEL_RATIO}|${r.w}|${r.h}|${coinCol}|${highContrast()}`;
+        const spr = cached(SPRITES.coins, key, SPRITE_CACHE_MAX, () => drawInto(
+          makeCanvas(r.w + COIN_PAD * 2, r.h + COIN_PAD * 2),
+          () => coinDraw(COIN_PAD + r.w / 2, COIN_PAD + r.h / 2, r.w / 2, r.h / 2, coinCol)));
+        renderer.image(spr.c, cx - (spr.w / 2) * pulse, cy - (spr.h / 2) * pulse, spr.w * pulse, spr.h * pulse);
+      } else {
+        coinDraw(cx, cy, (r.w / 2) * pulse, (r.h / 2) * pulse, coinCol);
+      }
 
       // sparkle
-      const sp = 0.5 + 0.5 * Math.sin(t * 6 + (c.x * 0.02));
-      ctx.fillStyle = `rgba(255,255,255,${0.25 * sp})`;
-      ctx.beginPath();
-      ctx.arc(cx + 4, cy - 4, 2.2, 0, TAU);
-      ctx.fill();
+      const sp = still ? 0.5 : 0.5 + 0.5 * Math.sin(t * 6 + (c.x * 0.02));
+      renderer.circle(cx + 4, cy - 4, 2.2, `rgba(255,255,255,${0.25 * sp})`);
+
+      // bloom
+      renderer.glow(cx, cy, r.w * COIN_GLOW_R * pulse, coinCol, COIN_GLOW * (0.8 + 0.2 * sp));
     }
 
-    // particles (fade out by life)
-    for (const p of RUN.particles) {
-      const px = Math.floor(p.x - RUN.cam_x + shakeX);
-      const py = Math.floor(p.y + shakeY);
-      const a = clamp(p.life / p.maxLife, 0, 1);
-      ctx.fillStyle = rgba(p.col, 0.85 * a);
-      ctx.beginPath();
-      ctx.arc(px, py, p.r, 0, TAU);
-      ctx.fill();
+    // power-ups (bobbing badge)
+    for (const u of RUN.powerups) {
+      const info = POWERUP_INFO[u.kind];
+      const cx = Math.floor(u.x - RUN.cam_x + shakeX) + u.w / 2;
+      const cy = Math.floor(u.y + shakeY + (still ? 0 : 4 * Math.sin(t * 3 + u.x * 0.01))) + u.h / 2;
+
+      renderer.circle(cx, cy, u.w / 2 + 7, rgba(info.color, 0.22));
+      roundRectFill(cx - u.w / 2, cy - u.h / 2, u.w, u.h, 8, info.color, [250, 250, 255], 2);
+      drawText(info.icon, cx, cy - 10, 20, [16, 18, 24], "center");
     }
 
+    drawParticles(FX.particles, shakeX, shakeY);
+
     // player (squash/stretch)
     const pr = copyRect(RUN.player);
     pr.x = Math.floor(pr.x - RUN.cam_x + shakeX);
     pr.y = Math.floor(pr.y + shakeY);
 
     // apply squash/stretch around center
-    const sq = 1 - 0.10 * JUICE.playerSquash;
-    const st = 1 + 0.14 * JUICE.playerStretch;
+    const sq = still ? 1 : 1 - 0.10 * JUICE.playerSquash;
+    const st = still ? 1 : 1 + 0.14 * JUICE.playerStretch;
     const sx = st;
     const sy = sq;
 
@@ -922,44 +2104,94 @@ window.addEventListener("error", (e) => {
     const px = pr.x + pr.w / 2;
     const py = pr.y + pr.h / 2;
 
-    ctx.save();
-    ctx.translate(px, py);
-    ctx.scale(sx, sy);
-    softShadow(true);
+    renderer.save();
+    renderer.translate(px, py);
+    renderer.scale(sx, sy);
+    renderer.shadow(true);
     roundRectFill(-pr.w / 2, -pr.h / 2, pr.w, pr.h, 10, pc, null, 0);
-    softShadow(false);
-    ctx.restore();
+    renderer.shadow(false);
+    renderer.restore();
+
+    // shield bubble
+    if (RUN.effects.shield > 0) {
+      const a = RUN.effects.shield < 1.5 ? 0.5 + 0.5 * Math.sin(t * 20) : 1; // flicker before it runs out
+      const col = POWERUP_INFO.shield.color;
+      renderer.circle(px, py, pr.h * 0.72, rgba(col, 0.12 * a), rgba(col, 0.8 * a), 3);
+    }
 
     // eyes (not scaled, anchored)
-    ctx.fillStyle = rgb([10, 12, 16]);
     roundRectFill(pr.x + 10, pr.y + 16, 7, 7, 3, [10, 12, 16], null, 0);
     roundRectFill(pr.x + 26, pr.y + 16, 7, 7, 3, [10, 12, 16], null, 0);
 
     // HUD
     drawText(`Score: ${RUN.score}`, 18, 12, 30, TEXT);
-    drawText(`Coins: ${RUN.coins_run}`, 18, 42, 30, TEXT);
-    drawText(`Best: ${SAVE.best_score}`, 240, 12, 30, DIM);
+    drawText(`Coins: ${RUN.coins_run}`, 18, 12 + ts(30), 30, TEXT);
+    drawText(`Best: ${dailyRun ? SAVE.daily.best[dailyRun.key] || 0 : SAVE.best_score}`, ts(240), 12, 30, DIM);
+
+    // active power-up timers
+    let ey = 20 + ts(60);
+    for (const kind of POWERUP_KINDS) {
+      const left = RUN.effects[kind];
+      if (left <= 0) continue;
+      const info = POWERUP_INFO[kind];
+      const frac = clamp(left / RUN.powerup_t[kind], 0, 1);
+      drawText(`${info.label} ${left.toFixed(1)}s`, 18, ey, 20, info.color);
+      roundRectFill(18, ey + ts(24), 160, 8, 4, [40, 44, 58], null, 0);
+      if (frac > 0.02) roundRectFill(18, ey + ts(24), Math.max(8, 160 * frac), 8, 4, info.color, null, 0);
+      ey += ts(24) + 18;
+    }
 
-    if (SAVE.settings.show_fps) drawText(`FPS: ${fpsEstimate | 0}`, WIDTH - 120, 12, 24, DIM);
+    if (FX.banners.length) drawBanner(FX.banners[0]);
+
+    if (SAVE.settings.show_fps) drawText(`FPS: ${fpsEstimate | 0}`, VIEW_W - 120, 12, 24, DIM);
+  }
+
+  // slides down, holds, then fades; b.t = s it has been up
+  function drawBanner(b) {
+    const slide = reducedMotion() ? 1 : smoothstep(clamp(b.t / 0.35, 0, 1));
+    const alpha = clamp((BANNER_T - b.t) / 0.5, 0, 1);
+    const y = Math.floor(lerp(-70, 92, slide));
+    const w = Math.min(VIEW_W - 40, Math.max(400, b.title.length * ts(17) + 40));
+
+    renderer.alpha(alpha);
+    roundRectFill(VIEW_W / 2 - w / 2, y, w, ts(64), 14, [18, 20, 28], b.col, 2);
+    renderer.alpha(1);
+    drawText(b.kicker, VIEW_W / 2, y + 6, 18, DIM, "center", alpha, w - 24);
+    drawText(b.title, VIEW_W / 2, y + ts(24), 32, b.col, "center", alpha, w - 24);
   }
 
   function pauseOverlay() {
-    ctx.fillStyle = "rgba(0,0,0,0.58)";
-    ctx.fillRect(0, 0, WIDTH, HEIGHT);
-    drawText("Paused", WIDTH / 2, HEIGHT / 2 - 64, 64, [245, 245, 250], "center");
-    drawText("Press P to resume | ESC to menu", WIDTH / 2, HEIGHT / 2 + 10, 30, [220, 220, 235], "center");
+    fillView("rgba(0,0,0,0.58)");
+    drawText("Paused", VIEW_W / 2, HEIGHT / 2 - 64, 64, [245, 245, 250], "center");
+    drawText(`${bindingText("pause")} to resume | ${bindingText("back")} to menu`, VIEW_W / 2, HEIGHT / 2 + 10, 30, [220, 220, 235], "center", 1, VIEW_W - 40);
   }
 
   // -------------------------
   // Menu / Shop / Settings / Dead
   // -------------------------
   function goPlay() { resetRun(); paused = false; mode = MODE_PLAY; sfx.click(); }
+  function goDaily() { startDaily(); paused = false; mode = MODE_PLAY; sfx.click(); }
   function goShop() { mode = MODE_SHOP; sfx.click(); }
-  function goSettings() { mode = MODE_SETTINGS; sfx.click(); }
+  function goSettings() { mode = MODE_SETTINGS; settingsPage = "main"; sfx.click(); }
+  function goStats() { mode = MODE_STATS; sfx.click(); }
+  function promptSeed() {
+    sfx.click();
+    const cur = fixedSeed !== null ? String(fixedSeed) : "";
+    const input = window.prompt("Run seed (leave blank for random):", cur);
+    if (input === null) return;
+    fixedSeed = parseSeed(input);
+  }
   function quitGame() { updateBestScore(true); running = false; sfx.click(); }
 
   let shopSelectedCat = "player";
+  let shopUpgradeTab = "core";
+  let statsTab = "records";
   let settingsConfirmReset = false;
+  let settingsPage = "main";  // "main" | "controls" | "access" | "audio" | "display"
+  let volumeDrag = null;      // volume setting whose slider is being dragged
+  let bindCapture = null;     // { action, slot } waiting for a key / pad button
+  let profilePickerOpen = false;
+  let profileConfirm = null; // { action: "create" | "rename" | "delete", name } awaiting a second click
 
   // UI animation helper (fade in when changing modes)
   let lastMode = mode;
@@ -977,52 +2209,128 @@ window.addEventListener("error", (e) => {
 
     const panel = drawPanel(90, 90, WIDTH - 180, HEIGHT - 180);
     const content = rect(panel.x + 32, panel.y + 32, panel.w - 64, panel.h - 64);
+    navMute(profilePickerOpen);
 
-    ctx.globalAlpha = fade;
-    drawText("Endless Runner", content.x, content.y, 64, [245, 245, 250]);
+    renderer.alpha(fade);
+    drawText("Endless Runner", content.x, content.y, 64, [245, 245, 250], "left", 1, content.w - 220);
 
+    const cx = content.x + content.w - 330;
     const statY = content.y + 64 + 18;
-    drawText(`Best Score: ${SAVE.best_score}`, content.x, statY, 30, [220, 220, 235]);
-    drawText(`Money: ${SAVE.money}`, content.x, statY + 38, 30, [220, 220, 235]);
+    drawText(`Best ${SAVE.best_score}   Money ${SAVE.money}`, content.x, statY, 26, [220, 220, 235], "left", 1, cx - content.x - 20);
 
-    const quitBtn = new Button(rect(content.x + content.w - 200, content.y + 6, 200, 54), "Quit", quitGame, "sub");
+    const quitBtn = uiButton(rect(content.x + content.w - 200, content.y + 6, 200, 54), "Quit", quitGame, "sub");
 
-    const cx = content.x + content.w - 330;
     let cy = content.y + 6 + 54 + 18;
 
-    drawText("Equipped", cx, cy, 30, [245, 245, 250]); cy += 32;
-    drawText(`Player: ${SAVE.cosmetics.player}`, cx, cy, 24, [220, 220, 235]); cy += 24;
-    drawText(`Platform: ${SAVE.cosmetics.platform}`, cx, cy, 24, [220, 220, 235]); cy += 24;
-    drawText(`Spikes: ${SAVE.cosmetics.spike}`, cx, cy, 24, [220, 220, 235]); cy += 24;
-    drawText(`Background: ${SAVE.cosmetics.background}`, cx, cy, 24, [220, 220, 235]); cy += 30;
+    drawText("Missions", cx, cy, 30, [245, 245, 250]); cy += ts(38);
+    cy = drawMissions(cx, cy, 330);
+    drawText(`Score multiplier x${SAVE.missions.score_mul.toFixed(2)}`, cx, cy, 22, COIN_C); cy += ts(34);
 
-    drawText("Upgrades", cx, cy, 30, [245, 245, 250]); cy += 32;
-    for (const key of ["jump", "coyote", "coin_mult", "magnet"]) {
-      drawText(`${UPGRADES[key].name}: ${SAVE.upgrades[key]}/${UPGRADES[key].max}`, cx, cy, 24, [220, 220, 235]);
-      cy += 24;
+    // the equipped line goes when bigger text leaves no room for it
+    const c = SAVE.cosmetics;
+    if (cy + ts(28) + ts(18) <= panel.y + panel.h - 10) {
+      drawText("Equipped", cx, cy, 24, [245, 245, 250]); cy += ts(28);
+      drawText(`${c.player} / ${c.platform} / ${c.spike} / ${c.background}`, cx, cy, 18, DIM, "left", 1, 330);
     }
 
-    const buttonW = 260, buttonH = 54, gap = 16;
+    const buttonW = 260, buttonH = 50, gap = 14;
     const bx = content.x;
-    const desiredBy = statY + 120;
-    const stackH = (buttonH * 3) + (gap * 2);
-    const maxBy = content.y + content.h - stackH;
-    const by = clamp(desiredBy, content.y + 160, maxBy);
+    const by = statY + ts(26) + 16;
 
+    const halfW = (buttonW - gap) / 2;
     const buttons = [
-      new Button(rect(bx, by, buttonW, buttonH), "Play", goPlay, "main"),
-      new Button(rect(bx, by + (buttonH + gap), buttonW, buttonH), "Shop", goShop, "main"),
-      new Button(rect(bx, by + 2 * (buttonH + gap), buttonW, buttonH), "Settings", goSettings, "main"),
-      quitBtn
+      uiButton(rect(bx, by, halfW, buttonH), "Play", goPlay, "main"),
+      uiButton(rect(bx + halfW + gap, by, halfW, buttonH), "Daily", goDaily, "main"),
+      uiButton(rect(bx, by + (buttonH + gap), halfW, buttonH), "Shop", goShop, "main"),
+      uiButton(rect(bx + halfW + gap, by + (buttonH + gap), halfW, buttonH), "Stats", goStats, "main"),
+      uiButton(rect(bx, by + 2 * (buttonH + gap), buttonW, buttonH), "Settings", goSettings, "main"),
+      quitBtn,
+      uiButton(rect(panel.x, panel.y + panel.h + 12, 320, 44), `Seed: ${fixedSeed !== null ? fixedSeed : "Random"}`, promptSeed, "sub"),
     ];
 
     for (const b of buttons) b.draw(mx, my, dt);
-    if (click) for (const b of buttons) if (b.tryClick(mx, my)) break;
+    if (click && !profilePickerOpen) for (const b of buttons) if (b.tryClick(mx, my)) break;
 
-    ctx.globalAlpha = 1;
+    // daily status, next to the seed button
+    const today = dailyKey();
+    const dailyInfo = [
+      `Best ${SAVE.daily.best[today] || 0}`,
+      `Streak ${dailyStreak(today)}`,
+      SAVE.daily.rewarded_day === today ? "bonus used" : "bonus ready",
+    ].join("  |  ");
+    drawText(`Daily: ${dailyMods(today).map((m) => m.name).join(" + ")}`, panel.x + 336, panel.y + panel.h + 12, 18, COIN_C);
+    drawText(dailyInfo, panel.x + 336, panel.y + panel.h + 12 + ts(22), 18, DIM);
+
+    renderer.alpha(1);
+
+    if (saveNotice) drawText(saveNotice, WIDTH / 2, 14, 20, [255, 190, 120], "center");
+    if (click) saveNotice = null;
 
     // tiny footer hint
-    drawText("Tip: Tap/Click to jump on mobile", WIDTH - 18, HEIGHT - 28, 18, DIM, "right", 0.75);
+    drawText("Tip: Tap/Click to jump on mobile", WIDTH - 18, HEIGHT - 6 - ts(18), 18, DIM, "right", 0.75);
+
+    if (profilePickerOpen) { profilePicker(mx, my, click, dt); return; }
+    const profileBtn = uiButton(rect(panel.x + panel.w - 300, panel.y - 54, 300, 44),
+      `Profile: ${profileName(PROFILES.active)}`, () => { profilePickerOpen = true; profileConfirm = null; sfx.click(); }, "sub");
+    profileBtn.draw(mx, my, dt);
+    if (click) profileBtn.tryClick(mx, my);
+  }
+
+  // Modal list of profiles. Create / rename / delete each take a second click to confirm,
+  // like Reset Save in settings; the name (when there is one) is asked for on the first.
+  function profilePicker(mx, my, click, dt) {
+    navMute(false);
+    navModal();
+    fillView("rgba(0,0,0,0.6)");
+    const panel = drawPanel(WIDTH / 2 - 250, 40, 500, HEIGHT - 80);
+    const x = panel.x + 28;
+    drawText("Profiles", x, panel.y + 16, 34, [245, 245, 250]);
+
+    const buttons = [];
+    let y = panel.y + 64;
+    for (const e of PROFILES.list) {
+      const active = e.id === PROFILES.active;
+      buttons.push(uiButton(rect(x, y, panel.w - 56, 38), active ? `> ${e.name} <` : e.name,
+        () => { switchProfile(e.id); profileConfirm = null; sfx.click(); }, active ? "main" : "sub"));
+      y += 44;
+    }
+
+    const pending = (action) => profileConfirm && profileConfirm.action === action;
+    const confirmOr = (action, ask, run) => () => {
+      if (pending(action)) {
+        run(profileConfirm.name);
+        profileConfirm = null;
+      } else {
+        const name = ask ? promptProfileName(action === "rename" ? profileName(PROFILES.active) : "") : null;
+        if (ask && !name) return;
+        profileConfirm = { action, name };
+      }
+      sfx.click();
+    };
+
+    const bw = (panel.w - 56 - 2 * 12) / 3;
+    const by = panel.y + panel.h - 116;
+    const active = PROFILES.active;
+    if (PROFILES.list.length < PROFILE_MAX) {
+      buttons.push(uiButton(rect(x, by, bw, 44), pending("create") ? "CONFIRM New" : "New",
+        confirmOr("create", true, (name) => createProfile(name)), "sub"));
+    }
+    buttons.push(uiButton(rect(x + bw + 12, by, bw, 44), pending("rename") ? "CONFIRM Rename" : "Rename",
+      confirmOr("rename", true, (name) => renameProfile(active, name)), "sub"));
+    if (PROFILES.list.length > 1) {
+      buttons.push(uiButton(rect(x + 2 * (bw + 12), by, bw, 44), pending("delete") ? "CONFIRM Delete" : "Delete",
+        confirmOr("delete", false, () => deleteProfile(active)), "sub"));
+    }
+    buttons.push(uiButton(rect(x, by + 56, panel.w - 56, 44), "Close",
+      () => { profilePickerOpen = false; profileConfirm = null; sfx.click(); }, "main"));
+
+    if (profileConfirm) {
+      const what = { create: `create "${profileConfirm.name}"`, rename: `rename to "${profileConfirm.name}"`, delete: `delete "${profileName(active)}"` };
+      drawText(`Click again to ${what[profileConfirm.action]}`, panel.x + panel.w / 2, by - 30, 20, [255, 190, 120], "center");
+    }
+
+    for (const b of buttons) b.draw(mx, my, dt);
+    if (click) for (const b of buttons) if (b.tryClick(mx, my)) break;
   }
 
   function shopScreen(mx, my, click, dt) {
@@ -1040,63 +2348,73 @@ window.addEventListener("error", (e) => {
     drawText("Upgrades", rightP.x + 16, rightP.y + 14, 30, [245, 245, 250]);
 
     const buttons = [];
-    buttons.push(new Button(rect(WIDTH - 180, 80, 160, 44), "Back", () => { mode = MODE_MENU; sfx.click(); }, "sub"));
+    buttons.push(uiButton(rect(WIDTH - 180, 80, 160, 44), "Back", () => { mode = MODE_MENU; sfx.click(); }, "sub"));
 
+    // category tabs in a 2x2 grid, leaving room for the whole item list below
     const catTabs = ["player", "platform", "spike", "background"];
-    let tabY = leftP.y + 58;
-    const tabX = leftP.x + 16;
-
-    for (const c of catTabs) {
+    catTabs.forEach((c, i) => {
       const label = c.charAt(0).toUpperCase() + c.slice(1);
-      buttons.push(new Button(
-        rect(tabX, tabY, 188, 40),
+      buttons.push(uiButton(
+        rect(leftP.x + 16 + (i % 2) * 198, leftP.y + 52 + Math.floor(i / 2) * 48, 188, 40),
         label,
         () => { shopSelectedCat = c; sfx.click(); },
         (shopSelectedCat === c) ? "main" : "sub"
       ));
-      tabY += 50;
-    }
+    });
 
     const sel = shopSelectedCat;
-    const items = Object.entries(COSMETICS[sel]).slice().sort((a, b) => a[1].price - b[1].price);
+    // exclusives (achievement rewards) go last
+    const items = Object.entries(COSMETICS[sel]).slice()
+      .sort((a, b) => (!!a[1].exclusive - !!b[1].exclusive) || a[1].price - b[1].price);
 
     const x = leftP.x + 16;
-    drawText(`Category: ${sel.charAt(0).toUpperCase() + sel.slice(1)}`, x, leftP.y + 220, 24, [220, 220, 235]);
-
-    let y = leftP.y + 270;
-    const rowH = 44;
-    const maxRows = Math.floor((leftP.y + leftP.h - (y + 10)) / rowH);
+    let y = leftP.y + 148;
+    // rows shrink a little when bigger text pushes them down, so every item still fits
+    const rowH = Math.min(40, Math.floor((leftP.y + leftP.h - (y + 4)) / items.length));
+    const maxRows = Math.floor((leftP.y + leftP.h - (y + 4)) / rowH);
     const showItems = items.slice(0, maxRows);
 
     for (const [name, info] of showItems) {
       const owned = isOwned(sel, name);
       const equipped = (SAVE.cosmetics[sel] === name);
-      const label2 = equipped ? "Equipped" : (owned ? "Equip" : `Buy ${info.price}`);
+      const label2 = equipped ? "Equipped" : owned ? "Equip" : info.exclusive ? "Locked" : `Buy ${info.price}`;
       const action = () => buyCosmetic(sel, name);
 
-      buttons.push(new Button(rect(x, y, 240, 40), `${name}`, action, "sub"));
-      buttons.push(new Button(rect(x + 250, y, 140, 40), label2, action, equipped ? "main" : "sub"));
+      buttons.push(uiButton(rect(x, y, 220, 36), `${name}`, action, "sub"));
+      buttons.push(uiButton(rect(x + 228, y, 140, 36), label2, action, equipped ? "main" : "sub"));
 
-      const sw = rect(x + 402, y + 8, 24, 24);
-      roundRectFill(sw.x, sw.y, sw.w, sw.h, 6, info.color, [90, 96, 120], 2);
+      const sw = rect(x + 376, y + 6, 24, 24);
+      roundRectFill(sw.x, sw.y, sw.w, sw.h, 6, cosmeticColor(info), [90, 96, 120], 2);
       y += rowH;
     }
 
-    let uy = rightP.y + 58;
+    const upTabs = [["core", "Stats", 130], ["powerups", "Power-ups", 190]];
+    let tx = rightP.x + 16;
+    for (const [id, label, w] of upTabs) {
+      buttons.push(uiButton(
+        rect(tx, rightP.y + 52, w, 40),
+        label,
+        () => { shopUpgradeTab = id; sfx.click(); },
+        (shopUpgradeTab === id) ? "main" : "sub"
+      ));
+      tx += w + 10;
+    }
+
+    let uy = rightP.y + 108;
     const ux = rightP.x + 16;
 
-    for (const key of ["jump", "coyote", "coin_mult", "magnet"]) {
+    for (const key of (shopUpgradeTab === "powerups" ? POWERUP_UPGRADES : CORE_UPGRADES)) {
       const lvl = SAVE.upgrades[key];
       const mxu = UPGRADES[key].max;
       const cost = (lvl < mxu) ? upgradeCost(key, lvl) : null;
 
-      drawText(`${UPGRADES[key].name}`, ux, uy, 24, [240, 240, 245]);
-      drawText(`Level: ${lvl}/${mxu}`, ux, uy + 22, 22, [200, 200, 210]);
+      drawText(`${UPGRADES[key].name}`, ux, uy, 24, [240, 240, 245], "left", 1, rightP.w - 212);
+      drawText(`Level: ${lvl}/${mxu}`, ux, uy + ts(26), 22, [200, 200, 210]);
 
       const label3 = (lvl >= mxu) ? "MAX" : `Buy ${cost}`;
-      buttons.push(new Button(rect(rightP.x + rightP.w - 180, uy + 6, 160, 40), label3, () => buyUpgrade(key), "sub"));
+      buttons.push(uiButton(rect(rightP.x + rightP.w - 180, uy + 6, 160, 40), label3, () => buyUpgrade(key), "sub"));
 
-      uy += 74;
+      uy += 70;
     }
 
     for (const b of buttons) b.draw(mx, my, dt);
@@ -1104,6 +2422,10 @@ window.addEventListener("error", (e) => {
   }
 
   function settingsScreen(mx, my, click, dt) {
+    if (settingsPage === "controls") { controlsScreen(mx, my, click, dt); return; }
+    if (settingsPage === "access") { accessScreen(mx, my, click, dt); return; }
+    if (settingsPage === "audio") { audioScreen(mx, my, click, dt); return; }
+    if (settingsPage === "display") { displayScreen(mx, my, click, dt); return; }
     drawParallax(0, nowSeconds);
     drawTopBar("Settings");
 
@@ -1112,7 +2434,7 @@ window.addEventListener("error", (e) => {
     let y = panel.y + 42;
 
     const buttons = [];
-    buttons.push(new Button(rect(WIDTH - 180, 80, 160, 44), "Back", () => { mode = MODE_MENU; sfx.click(); }, "sub"));
+    buttons.push(uiButton(rect(WIDTH - 180, 80, 160, 44), "Back", () => { mode = MODE_MENU; sfx.click(); }, "sub"));
 
     const resetSave = () => {
       if (settingsConfirmReset) {
@@ -1125,215 +2447,608 @@ window.addEventListener("error", (e) => {
       }
     };
 
-    buttons.push(new Button(rect(x, y, 340, 44), settingsConfirmReset ? "CONFIRM Reset Save" : "Reset Save", resetSave, "main"));
+    buttons.push(uiButton(rect(x, y, 340, 44), settingsConfirmReset ? "CONFIRM Reset Save" : "Reset Save", resetSave, "main"));
 
-    y += 80;
+    y += 64;
     drawText("Basic", x, y, 30, [245, 245, 250]);
-    y += 52;
+    y += 44;
 
+    // on/off, or cycled through a list of values
     const toggles = [
       ["screenshake", "Screen Shake"],
-      ["particles", "Particles"],
-      ["show_fps", "Show FPS"],
-      ["sound", "Sound"],        // NEW
-      ["fullscreen", "Fullscreen"],
+      ["particles", "Particles", Object.keys(PARTICLE_QUALITY)],
     ];
 
-    for (const [key, lab] of toggles) {
+    for (const [key, lab, options] of toggles) {
       const val = SAVE.settings[key];
-      buttons.push(new Button(rect(x, y, 340, 44), `${lab}: ${val ? "On" : "Off"}`, () => toggleSetting(key), "sub"));
-      y += 60;
+      const text = options ? val.charAt(0).toUpperCase() + val.slice(1) : val ? "On" : "Off";
+      buttons.push(uiButton(rect(x, y, 340, 44), `${lab}: ${text}`,
+        options ? () => cycleSetting(key, options) : () => toggleSetting(key), "sub"));
+      y += 56;
     }
+    buttons.push(uiButton(rect(x, y, 340, 44), "Display", () => { settingsPage = "display"; sfx.click(); }, "sub"));
+    y += 56;
+    buttons.push(uiButton(rect(x, y, 340, 44), `Sound & Music: ${SAVE.settings.sound ? "On" : "Off"}`,
+      () => { settingsPage = "audio"; sfx.click(); }, "sub"));
 
     const controlsX = panel.x + panel.w / 2 + 40;
-    let controlsY = panel.y + 130;
+    let controlsY = panel.y + 42;
 
     drawText("Controls", controlsX, controlsY, 30, [245, 245, 250]);
-    controlsY += 52;
-    drawText("W / SPACE / TAP  Jump", controlsX, controlsY, 22, [220, 220, 235]);
-    drawText("P                Pause", controlsX, controlsY + 26, 22, [220, 220, 235]);
-    drawText("R                Restart run", controlsX, controlsY + 52, 22, [220, 220, 235]);
-    drawText("ESC              Back/Menu", controlsX, controlsY + 78, 22, [220, 220, 235]);
+    controlsY += ts(36);
+    for (const a of CONTROL_ACTIONS) {
+      drawText(a.name, controlsX, controlsY, 18, [220, 220, 235], "left", 1, 120);
+      drawText(bindingText(a.id), controlsX + 130, controlsY, 18, DIM, "left", 1, 210);
+      controlsY += ts(21);
+    }
+    if (controlConflicts().length) drawText("conflicts!", controlsX + 340, controlsY - ts(21), 18, [255, 140, 140], "right");
+    buttons.push(uiButton(rect(controlsX, controlsY + 10, 165, 44), "Controls",
+      () => { settingsPage = "controls"; bindCapture = null; sfx.click(); }, "sub"));
+    buttons.push(uiButton(rect(controlsX + 175, controlsY + 10, 165, 44), "Accessibility",
+      () => { settingsPage = "access"; sfx.click(); }, "sub"));
+
+    buttons.push(uiButton(rect(controlsX, controlsY + 62, 340, 44), `Pit Mode: ${SAVE.settings.pit_mode ? "On" : "Off"}`, () => toggleSetting("pit_mode"), "sub"));
+
+    // save transfer
+    const halfW = 165;
+    const sy = controlsY + 118;
+    buttons.push(uiButton(rect(controlsX, sy, halfW, 44), "Export File", exportSaveFile, "sub"));
+    buttons.push(uiButton(rect(controlsX + halfW + 10, sy, halfW, 44), "Export Code", exportSaveCode, "sub"));
+    buttons.push(uiButton(rect(controlsX, sy + 52, halfW, 44), "Import File", importSaveFile, "sub"));
+    buttons.push(uiButton(rect(controlsX + halfW + 10, sy + 52, halfW, 44), "Import Code", importSaveCode, "sub"));
+    if (settingsMessage) drawText(settingsMessage, x, panel.y + 10, 18, [255, 210, 150], "left", 1, panel.w - 80);
+
+    if (settingsImport) { importPreview(mx, my, click, dt); return; }
 
     for (const b of buttons) b.draw(mx, my, dt);
+    if (click) settingsMessage = null;
     if (click) for (const b of buttons) if (b.tryClick(mx, my)) break;
   }
 
-  function deadScreen(mx, my, click, dt) {
-    drawParallax(RUN.cam_x, nowSeconds);
+  // Settings > Controls: one row per action with its key / alt key / pad button. Click a slot,
+  // then press what it should be (Backspace clears it); clicking anywhere else cancels.
+  // Inputs bound to more than one action are outlined in red and listed underneath.
+  function controlsScreen(mx, my, click, dt) {
+    drawParallax(0, nowSeconds);
+    drawTopBar("Controls");
+    navScope("controls");
 
-    const panel = drawPanel(120, 120, WIDTH - 240, HEIGHT - 240);
-    let x = panel.x + 40;
-    let y = panel.y + 26;
+    const panel = drawPanel(18, 90, WIDTH - 36, HEIGHT - 108);
+    const x = panel.x + 30;
+    const cols = [x + 250, x + 450, x + 650];
+    const slotW = 180;
 
-    drawText("You Died", x, y, 64, [245, 245, 250]);
-    y += 92;
-    drawText(`Run Score: ${RUN.score}`, x, y, 30, [235, 235, 245]); y += 38;
+    const buttons = [];
+    buttons.push(uiButton(rect(WIDTH - 180, 80, 160, 44), "Back",
+      () => { settingsPage = "main"; bindCapture = null; sfx.click(); }, "sub"));
+
+    let y = panel.y + 24;
+    ["Key", "Alt key", "Gamepad"].forEach((h, i) => drawText(h, cols[i], y, 22, DIM));
+    y += 36;
+
+    const conflicts = controlConflicts();
+    const flagged = [];
+    for (const a of CONTROL_ACTIONS) {
+      drawText(a.name, x, y + 10, 26, [235, 235, 245]);
+      CONTROL_SLOTS.forEach((slot, i) => {
+        const capturing = bindCapture && bindCapture.action === a.id && bindCapture.slot === slot;
+        const label = capturing ? "Press..." : slotName(slot, SAVE.settings.controls[a.id][slot]);
+        const b = uiButton(rect(cols[i], y, slotW, 44), label, () => {
+          bindCapture = capturing ? null : { action: a.id, slot };
+          sfx.click();
+        }, capturing ? "main" : "sub");
+        buttons.push(b);
+        if (conflicts.some((e) => e.slots.some(([ca, cs]) => ca === a && cs === slot))) flagged.push(b);
+      });
+      y += 56;
+    }
 
-    const gained = Math.floor(RUN.coins_run * RUN.coin_mul);
-    drawText(`Run Coins: ${RUN.coins_run}   Payout: ${gained}`, x, y, 30, [235, 235, 245]); y += 38;
-    drawText(`Money: ${SAVE.money}`, x, y, 30, [235, 235, 245]); y += 38;
-    drawText(`Best: ${SAVE.best_score}`, x, y, 30, DIM);
+    y += 6;
+    for (const e of conflicts.slice(0, 3)) {
+      drawText(`${e.label} is bound to ${e.slots.map(([a]) => a.name).join(" and ")}`, x, y, 20, [255, 140, 140]);
+      y += 24;
+    }
+    // Back is checked before menu navigation (see the keydown handler)
+    const back = SAVE.settings.controls.back;
+    for (const code of [back.key, back.alt]) {
+      if (code === null || !isNavKey(code)) continue;
+      drawText(`${keyName(code)} goes Back in menus instead of moving the focus or clicking`, x, y, 20, COIN_C);
+      y += 24;
+    }
 
-    const buttonW = 260, buttonH = 54, gap = 16;
-    const bx = panel.x + panel.w - 40 - buttonW;
-    const stackH = (buttonH * 3) + (gap * 2);
-    const desiredBy = (panel.y + panel.h / 2) - stackH / 2;
-    const by = clamp(desiredBy, panel.y + 70, panel.y + panel.h - 40 - stackH);
+    if (bindCapture) {
+      const what = bindCapture.slot === "pad" ? "a gamepad button" : "a key";
+      const name = CONTROL_ACTIONS.find((a) => a.id === bindCapture.action).name;
+      drawText(`Press ${what} for ${name}  (Backspace clears, click to cancel)`, x, panel.y + panel.h - 100, 20, COIN_C);
+    }
 
-    const buttons = [
-      new Button(rect(bx, by, buttonW, buttonH), "Play again", () => { resetRun(); paused = false; mode = MODE_PLAY; sfx.click(); }, "main"),
-      new Button(rect(bx, by + buttonH + gap, buttonW, buttonH), "Shop", () => { mode = MODE_SHOP; sfx.click(); }, "sub"),
-      new Button(rect(bx, by + 2 * (buttonH + gap), buttonW, buttonH), "Menu", () => { paused = false; mode = MODE_MENU; sfx.click(); }, "sub"),
+    buttons.push(uiButton(rect(x, panel.y + panel.h - 64, 300, 44), "Restore Defaults", () => {
+      SAVE.settings.controls = defaultControls();
+      bindCapture = null;
+      saveSave(SAVE);
+      sfx.click();
+    }, "sub"));
+
+    for (const b of buttons) b.draw(mx, my, dt);
+    for (const b of flagged) {
+      renderer.roundRect(b.r.x + 1, b.r.y + 1, b.r.w - 2, b.r.h - 2, 14, null, rgb([255, 110, 110]), 3);
+    }
+    if (click) {
+      const wasCapturing = bindCapture;
+      let hit = false;
+      for (const b of buttons) if (b.tryClick(mx, my)) { hit = true; break; }
+      if (!hit && wasCapturing) bindCapture = null;
+    }
+  }
+
+  // Settings > Sound & Music: the sound toggle and a slider per mixer bus. Click or drag a track
+  // to set it; the -/+ buttons step it by 10% (and are what keyboard / pad focus lands on).
+  function audioScreen(mx, my, click, dt) {
+    drawParallax(0, nowSeconds);
+    drawTopBar("Sound & Music");
+    navScope("audio");
+
+    const panel = drawPanel(18, 90, WIDTH - 36, HEIGHT - 108);
+    const x = panel.x + 22;
+    let y = panel.y + 24;
+
+    const buttons = [];
+    buttons.push(uiButton(rect(WIDTH - 180, 80, 160, 44), "Back", () => { settingsPage = "main"; volumeDrag = null; sfx.click(); }, "sub"));
+    buttons.push(uiButton(rect(x, y, 400, 48), `Sound: ${SAVE.settings.sound ? "On" : "Off"}`, () => toggleSetting("sound"), "sub"));
+    y += 48 + 40;
+
+    const setVolume = (key, v) => { SAVE.settings[key] = Math.round(clamp(v, 0, 1) * 100) / 100; };
+    const nudge = (key, d) => () => { setVolume(key, SAVE.settings[key] + d); saveSave(SAVE); sfx.click(); };
+
+    // a drag ends on release: save once and play a click at the new level
+    if (volumeDrag && !pointerHeld) { volumeDrag = null; saveSave(SAVE); sfx.click(); }
+
+    const sliders = [["vol_master", "Master"], ["vol_music", "Music"], ["vol_sfx", "Effects"]];
+    for (const [key, label] of sliders) {
+      drawText(label, x, y + 24 - ts(13), 26, SAVE.settings.sound ? TEXT : DIM, "left", 1, 130);
+      buttons.push(uiButton(rect(x + 140, y, 48, 48), "-", nudge(key, -0.1), "sub"));
+      buttons.push(uiButton(rect(x + 720, y, 48, 48), "+", nudge(key, 0.1), "sub"));
+
+      const track = rect(x + 204, y + 18, 500, 12);
+      const hit = rect(track.x - 8, y, track.w + 16, 48);
+      if (click && mx >= hit.x && mx <= hit.x + hit.w && my >= hit.y && my <= hit.y + hit.h) volumeDrag = key;
+      if (volumeDrag === key) setVolume(key, (mx - track.x) / track.w);
+      const v = SAVE.settings[key];
+
+      roundRectFill(track.x, track.y, track.w, track.h, 6, [40, 44, 58], [70, 74, 92], 1);
+      if (v > 0.01) roundRectFill(track.x, track.y, Math.max(12, track.w * v), track.h, 6, GROUND, null, 0);
+      roundRectFill(track.x + track.w * v - 9, track.y - 9, 18, 30, 8, [235, 235, 245], volumeDrag === key ? COIN_C : [100, 106, 132], 2);
+      drawText(`${Math.round(v * 100)}%`, x + 790, y + 24 - ts(12), 24, DIM);
+      y += 72;
+    }
+    drawText("Music follows the run speed and dips while paused or after a crash", x, y + 8, 18, DIM, "left", 1, panel.w - 44);
+
+    for (const b of buttons) b.draw(mx, my, dt);
+    if (click) for (const b of buttons) if (b.tryClick(mx, my)) break;
+  }
+
+  // Settings > Accessibility, with a live preview of the in-run colors and the text size
+  function accessScreen(mx, my, click, dt) {
+    drawParallax(0, nowSeconds);
+    drawTopBar("Accessibility");
+    navScope("access");
+
+    const panel = drawPanel(18, 90, WIDTH - 36, HEIGHT - 108);
+    const x = panel.x + 22;
+    let y = panel.y + 24;
+
+    const buttons = [];
+    buttons.push(uiButton(rect(WIDTH - 180, 80, 160, 44), "Back", () => { settingsPage = "main"; sfx.click(); }, "sub"));
+
+    const cycle = (key, options) => () => cycleSetting(key, options);
+    const cbModes = ["off", ...Object.keys(COLORBLIND_MODES)];
+    const cb = colorblindMode();
+    const rows = [
+      [`Reduced Motion: ${reducedMotion() ? "On" : "Off"}`, () => toggleSetting("reduced_motion"),
+        "Parallax, squash & stretch, coin flashes and shake off"],
+      [`High Contrast: ${highContrast() ? "On" : "Off"}`, () => toggleSetting("high_contrast"),
+        "Outlines hazards and coins"],
+      [`Colors: ${cb ? cb.name : "Default"}`, cycle("colorblind", cbModes),
+        "Colorblind-safe cosmetics, hazards and coins"],
+      [`Text Size: ${Math.round(SAVE.settings.text_scale * 100)}%`, cycle("text_scale", TEXT_SCALES),
+        "Scales menu and HUD text"],
     ];
+    for (const [label, action, hint] of rows) {
+      buttons.push(uiButton(rect(x, y, 400, 48), label, action, "sub"));
+      drawText(hint, x + 4, y + 52, 16, DIM, "left", 1, 400);
+      y += 52 + ts(16) + 18;
+    }
+
+    // preview: what a spike, a coin and the cosmetics look like with these settings
+    const pv = rect(x + 440, panel.y + 24, panel.x + panel.w - 22 - (x + 440), 250);
+    renderer.save();
+    renderer.clip(pv.x, pv.y, pv.w, pv.h);
+    renderer.translate(pv.x, pv.y);
+    renderer.scale(pv.w / WIDTH, pv.h / (HEIGHT * 0.5));
+    renderer.translate(0, -HEIGHT * 0.5);
+    const still = reducedMotion();
+    // scaled into the box, so always Canvas2D
+    canvasParallax(still ? 0 : nowSeconds * 120, still ? 0 : nowSeconds, ZONE_PALETTES.city, 1, rect(0, 0, WIDTH, HEIGHT));
+    renderer.restore();
+    renderer.roundRect(pv.x, pv.y, pv.w, pv.h, 12, null, rgb([80, 86, 108]), 2);
+
+    const gy = pv.y + pv.h - 40;
+    renderer.rect(pv.x + 10, gy, pv.w - 20, 14, rgb(getColor("platform")));
+    spikeDraw(rect(pv.x + 60, gy - 26, 60, 26), hazardColor());
+    roundRectFill(pv.x + 170, gy - 58, 44, 58, 10, getColor("player"), null, 0);
+    const coinCol = coinColor();
+    for (let i = 0; i < 3; i++) {
+      const cx = pv.x + 270 + i * 40, cy = gy - 60;
+      if (highContrast()) {
+        renderer.ellipse(cx, cy, 11, 11, rgb(coinCol), rgb([10, 12, 16]), 3);
+        renderer.ellipse(cx, cy, 13.5, 13.5, null, hcOutline());
+      } else {
+        renderer.ellipse(cx, cy, 11, 11, rgb(coinCol));
+      }
+    }
+    drawText("Preview", pv.x + 12, pv.y + 10, 20, TEXT);
 
     for (const b of buttons) b.draw(mx, my, dt);
     if (click) for (const b of buttons) if (b.tryClick(mx, my)) break;
   }
 
-  // -------------------------
-  // Play update/draw
-  // -------------------------
-  function playUpdate(dt, jumpPressed, jumpHeld, jumpReleased) {
-    RUN.speed = clamp(RUN.speed + SPEED_RAMP * dt, BASE_SPEED, MAX_SPEED);
-    RUN.score_f += RUN.speed * dt * 0.02;
-    RUN.score = Math.floor(RUN.score_f);
-    updateBestScore(false);
+  // Settings > Display: fullscreen, how the view is scaled to the window, the wide layout
+  function displayScreen(mx, my, click, dt) {
+    drawParallax(0, nowSeconds);
+    drawTopBar("Display");
+    navScope("display");
 
-    if (jumpPressed) RUN.jump_buf = BASE_JUMP_BUF;
-    else RUN.jump_buf = Math.max(0.0, RUN.jump_buf - dt);
+    const panel = drawPanel(18, 90, WIDTH - 36, HEIGHT - 108);
+    const x = panel.x + 22;
+    let y = panel.y + 24;
 
-    if (RUN.on_ground) {
-      RUN.coyote = RUN.coyote_t;
-      RUN.jump_cut = false;
-    } else {
-      RUN.coyote = Math.max(0.0, RUN.coyote - dt);
+    const buttons = [];
+    buttons.push(uiButton(rect(WIDTH - 180, 80, 160, 44), "Back", () => { settingsPage = "main"; sfx.click(); }, "sub"));
+
+    // the view is refitted as soon as a scaling setting changes
+    const refit = (change) => () => { change(); applyDisplayMode(); };
+    const rows = [
+      [`Fullscreen: ${SAVE.settings.fullscreen ? "On" : "Off"}`, () => toggleSetting("fullscreen"),
+        "Fill the whole screen"],
+      [`Scaling: ${SCALE_MODES[SAVE.settings.scaling]}`, refit(() => cycleSetting("scaling", Object.keys(SCALE_MODES))),
+        "Integer keeps pixels whole, with bars around the view"],
+      [`Wide View: ${SAVE.settings.wide_view ? "On" : "Off"}`, refit(() => toggleSetting("wide_view")),
+        "Show more of the world on screens wider than 16:9"],
+      [`Show FPS: ${SAVE.settings.show_fps ? "On" : "Off"}`, () => toggleSetting("show_fps"),
+        "Frame rate in the corner while playing"],
+    ];
+    for (const [label, action, hint] of rows) {
+      buttons.push(uiButton(rect(x, y, 400, 48), label, action, "sub"));
+      drawText(hint, x + 4, y + 52, 16, DIM, "left", 1, 400);
+      y += 52 + ts(16) + 18;
     }
 
-    if (!RUN.on_ground) RUN.jump_time += dt;
-    else RUN.jump_time = 0.0;
+    // what the settings came to on this screen
+    const ix = x + 440;
+    let iy = panel.y + 24;
+    drawText("This screen", ix, iy, 26, [245, 245, 250]);
+    iy += ts(40);
+    for (const line of [
+      `Window: ${WIN_W} x ${WIN_H}`,
+      `View: ${VIEW_W} x ${HEIGHT} at ${VIEW_SCALE.toFixed(2)}x`,
+      `Pixel ratio: ${PIXEL_RATIO.toFixed(2)}`,
+      `Renderer: ${renderer.name}`,
+    ]) {
+      drawText(line, ix, iy, 20, DIM, "left", 1, panel.x + panel.w - 22 - ix);
+      iy += ts(28);
+    }
 
-    // apply buffered jump
-    if (RUN.jump_buf > 0.0 && RUN.coyote > 0.0) {
-      RUN.vy = -RUN.jump_v;
-      RUN.on_ground = false;
-      RUN.coyote = 0.0;
-      RUN.jump_buf = 0.0;
-      RUN.jump_cut = false;
-      RUN.jump_time = 0.0;
+    for (const b of buttons) b.draw(mx, my, dt);
+    if (click) for (const b of buttons) if (b.tryClick(mx, my)) break;
+  }
 
-      JUICE.playerStretch = 1;
-      sfx.jump();
+  // modal over the settings screen: what the imported save holds, then overwrite or cancel
+  function importPreview(mx, my, click, dt) {
+    navModal();
+    fillView("rgba(0,0,0,0.6)");
+    const panel = drawPanel(WIDTH / 2 - 260, 110, 520, 320);
+    const d = settingsImport.data;
+    const x = panel.x + 28;
+    let y = panel.y + 22;
+
+    drawText(`Import save from ${settingsImport.source}?`, x, y, 30, [245, 245, 250]); y += 46;
+    const owned = Object.values(d.owned).reduce((n, list) => n + list.length, 0);
+    const levels = Object.values(d.upgrades).reduce((n, v) => n + v, 0);
+    const lines = [
+      `Money: ${d.money}   (now ${SAVE.money})`,
+      `Best score: ${d.best_score}   (now ${SAVE.best_score})`,
+      `Cosmetics owned: ${owned}   Upgrade levels: ${levels}`,
+      `Runs recorded: ${d.history.length}   (now ${SAVE.history.length})`,
+      d.saved_at ? `Saved: ${new Date(d.saved_at).toLocaleString()}` : "Saved: unknown",
+    ];
+    for (const line of lines) { drawText(line, x, y, 22, [220, 220, 235]); y += 30; }
+    drawText("This replaces all current progress.", x, y + 6, 20, [255, 150, 150]);
+
+    const bw = (panel.w - 56 - 16) / 2;
+    const by = panel.y + panel.h - 68;
+    const buttons = [
+      uiButton(rect(x, by, bw, 48), "Overwrite", applyImport, "main"),
+      uiButton(rect(x + bw + 16, by, bw, 48), "Cancel", () => { settingsImport = null; sfx.click(); }, "sub"),
+    ];
+    for (const b of buttons) b.draw(mx, my, dt);
+    if (click) for (const b of buttons) if (b.tryClick(mx, my)) break;
+  }
+
+  const fmtDuration = (sec) => {
+    const m = Math.floor(sec / 60);
+    return m >= 60 ? `${Math.floor(m / 60)}h ${m % 60}m` : `${m}m ${Math.floor(sec % 60)}s`;
+  };
+
+  function statsScreen(mx, my, click, dt) {
+    drawParallax(0, nowSeconds);
+    drawTopBar("Stats");
+
+    const buttons = [uiButton(rect(WIDTH - 180, 80, 160, 44), "Back", () => { mode = MODE_MENU; sfx.click(); }, "sub")];
+    const tabs = [["records", "Records", 150], ["achievements", "Achievements", 210], ["perf", "Benchmark", 180]];
+    let tx = 180;
+    for (const [id, label, w] of tabs) {
+      buttons.push(uiButton(rect(tx, 14, w, 44), label, () => { statsTab = id; sfx.click(); }, statsTab === id ? "main" : "sub"));
+      tx += w + 10;
     }
 
-    RUN.vy = clamp(RUN.vy + GRAVITY * dt, -5000.0, MAX_FALL_V);
+    const panel = drawPanel(18, 90, WIDTH - 36, HEIGHT - 108);
+    if (statsTab === "achievements") achievementList(panel);
+    else if (statsTab === "perf") benchResults(panel, buttons);
+    else statsRecords(panel);
 
-    // jump cut
-    if (jumpReleased && (!RUN.on_ground) && (!RUN.jump_cut) && (RUN.vy < 0)) {
-      RUN.vy *= JUMP_CUT_MULT;
-      RUN.jump_cut = true;
+    for (const b of buttons) b.draw(mx, my, dt);
+    if (click) for (const b of buttons) if (b.tryClick(mx, my)) break;
+  }
+
+  function achievementList(panel) {
+    const a = SAVE.achievements;
+    const done = ACHIEVEMENTS.filter((ach) => a.unlocked[ach.id]).length;
+    drawText(`${done} / ${ACHIEVEMENTS.length} unlocked`, panel.x + 22, panel.y + 18, 22, DIM);
+
+    const rowH = Math.floor((panel.h - 70) / ACHIEVEMENTS.length);
+    let y = panel.y + 58;
+    const x = panel.x + 22;
+    for (const ach of ACHIEVEMENTS) {
+      const unlocked = !!a.unlocked[ach.id];
+      const frac = unlocked ? 1 : clamp((a.progress[ach.id] || 0) / ach.goal, 0, 1);
+      drawText(ach.name, x, y, 20, unlocked ? COIN_C : [235, 235, 245], "left", 1, 200);
+      drawText(ach.desc, x + 210, y + 2, 18, DIM, "left", 1, 360);
+      const bar = rect(panel.x + 600, y + 6, 140, 8);
+      roundRectFill(bar.x, bar.y, bar.w, bar.h, 4, [40, 44, 58], null, 0);
+      if (frac > 0.02) roundRectFill(bar.x, bar.y, Math.max(8, bar.w * frac), bar.h, 4, unlocked ? COIN_C : GROUND, null, 0);
+      drawText(rewardText(ach.reward), panel.x + panel.w - 22, y + 2, 16, unlocked ? DIM : [220, 220, 235], "right", 1, panel.w - 770);
+      y += rowH;
     }
+  }
 
-    // player x fixed relative to cam
-    const player = RUN.player;
-    player.x = Math.floor(RUN.cam_x + 160);
+  function statsRecords(panel) {
+    const leftP = rect(panel.x + 18, panel.y + 18, 500, panel.h - 36);
+    const rightP = rect(leftP.x + leftP.w + 18, leftP.y, panel.w - leftP.w - 54, leftP.h);
+    roundRectFill(leftP.x, leftP.y, leftP.w, leftP.h, 16, [22, 24, 34], [70, 74, 92], 2);
+    roundRectFill(rightP.x, rightP.y, rightP.w, rightP.h, 16, [22, 24, 34], [70, 74, 92], 2);
 
-    const dy = RUN.vy * dt;
-    const prevOnGround = RUN.on_ground;
-    RUN.on_ground = false;
+    // top 10
+    drawText("Top 10", leftP.x + 16, leftP.y + 14, 30, [245, 245, 250]);
+    const cols = [["#", 16], ["Score", 50], ["Coins", 150], ["Dist", 230], ["Cause", 320], ["Date", 410]];
+    let y = leftP.y + 58;
+    for (const [label, cx] of cols) drawText(label, leftP.x + cx, y, 18, DIM);
+    y += ts(26);
+    const rowStep = Math.min(ts(30), Math.floor((leftP.y + leftP.h - 8 - y) / 10));
+    const top = topRuns(10);
+    if (!top.length) drawText("No runs yet", leftP.x + 16, y + 8, 22, DIM);
+    top.forEach((run, i) => {
+      const col = i === 0 ? COIN_C : [220, 220, 235];
+      const cells = [
+        `${i + 1}`, `${run.score}`, `${run.coins}`, `${run.distance} m`,
+        run.cause.charAt(0).toUpperCase() + run.cause.slice(1),
+        new Date(run.at).toLocaleDateString(undefined, { month: "short", day: "numeric" }),
+      ];
+      cells.forEach((text, c) => {
+        const w = (c + 1 < cols.length ? cols[c + 1][1] : leftP.w - 8) - cols[c][1] - 6;
+        drawText(text, leftP.x + cols[c][1], y, 20, col, "left", 1, w);
+      });
+      y += rowStep;
+    });
+
+    // lifetime totals
+    const lt = SAVE.lifetime;
+    const rx = rightP.x + 16;
+    drawText("Lifetime", rx, rightP.y + 14, 30, [245, 245, 250]);
+    const lines = [
+      `Runs: ${lt.runs}`,
+      `Avg score: ${lt.runs ? Math.round(lt.score / lt.runs) : 0}   Best: ${SAVE.best_score}`,
+      `Coins: ${lt.coins}   Earned: ${lt.money}`,
+      `Distance: ${lt.distance} m`,
+      `Time played: ${fmtDuration(lt.time)}`,
+    ];
+    y = rightP.y + 54;
+    for (const line of lines) { drawText(line, rx, y, 20, [220, 220, 235], "left", 1, rightP.w - 32); y += ts(26); }
 
-    const sweep = collideVerticalSweep(player, RUN.py, dy, RUN.platforms);
-    RUN.py = sweep.pyFloat;
+    // score over the recent runs, oldest on the left
+    const chart = rect(rx, y + 30, rightP.w - 32, rightP.y + rightP.h - y - 46);
+    drawText("Recent scores", rx, y + 6, 20, DIM);
+    scoreChart(chart, SAVE.history.slice(-40));
+  }
 
-    // ground collision
-    if (player.y + player.h >= GROUND_Y) {
-      if (RUN.vy > 0) {
-        player.y = GROUND_Y - player.h;
-        RUN.py = player.y;
-        RUN.vy = 0.0;
-        RUN.on_ground = true;
+  function scoreChart(r, runs) {
+    roundRectFill(r.x, r.y, r.w, r.h, 10, [16, 18, 26], [50, 54, 70], 1);
+    if (runs.length < 2) {
+      drawText("Play a few runs to see a chart", r.x + r.w / 2, r.y + r.h / 2 - 10, 18, DIM, "center");
+      return;
+    }
+    const pad = 10;
+    const maxScore = Math.max(1, ...runs.map((run) => run.score));
+    const px = (i) => r.x + pad + (i / (runs.length - 1)) * (r.w - pad * 2);
+    const py = (score) => r.y + r.h - pad - (score / maxScore) * (r.h - pad * 2);
 
-        if (!prevOnGround) {
-          JUICE.playerSquash = 1;
-          spawnParticles(RUN.particles, centerx(player), player.y + player.h,
-            10, 90, 240, 0.25, 0.55, 2.0, 4.5, [230, 230, 240], true);
-        }
-      }
-    } else if (sweep.landed) {
-      RUN.vy = 0.0;
-      RUN.on_ground = true;
-
-      if (!prevOnGround) {
-        JUICE.playerSquash = 1;
-        spawnParticles(RUN.particles, centerx(player), player.y + player.h,
-          8, 90, 240, 0.25, 0.55, 2.0, 4.5, [230, 230, 240], true);
-      }
+    // average line
+    const avg = runs.reduce((n, run) => n + run.score, 0) / runs.length;
+    renderer.line([r.x + pad, py(avg), r.x + r.w - pad, py(avg)], "rgba(255,255,255,0.18)", 1, [4, 4]);
+
+    renderer.line(runs.flatMap((run, i) => [px(i), py(run.score)]), rgb(GROUND), 2);
+
+    for (let i = 0; i < runs.length; i++) {
+      renderer.circle(px(i), py(runs[i].score), 3, runs[i].score === maxScore ? rgb(COIN_C) : rgb(GROUND));
     }
+    drawText(`${maxScore}`, r.x + r.w - pad, r.y + 4, 16, DIM, "right");
+  }
 
-    RUN.cam_x += RUN.speed * dt;
-    ensureGenerationAhead();
-    cleanupLists();
-
-    // magnet pull
-    const magnetPx = RUN.magnet_px;
-    if (magnetPx > 0) {
-      for (const c of RUN.coins_list) {
-        const dx = (centerx(player) - centerx(c));
-        const dyc = (centery(player) - centery(c));
-        const dist = Math.hypot(dx, dyc);
-        if (0.1 < dist && dist < magnetPx) {
-          const pull = (magnetPx - dist) / magnetPx;
-          c.x += Math.trunc(dx * pull * dt * 2.8);
-          c.y += Math.trunc(dyc * pull * dt * 2.8);
-        }
-      }
+  function deadScreen(mx, my, click, dt) {
+    drawParallax(RUN.cam_x, nowSeconds, ZONE_PALETTES[ZONES[RUN.zone].id]);
+
+    const panel = drawPanel(120, 80, WIDTH - 240, HEIGHT - 160);
+    let x = panel.x + 40;
+    let y = panel.y + 26;
+
+    drawText("You Died", x, y, 64, [245, 245, 250]);
+    y += 70;
+    const causeText = {
+      pit: "Fell into a pit", wall: "Smashed into a wall", spike: "Hit a spike",
+      ceiling: "Jumped into ceiling spikes", saw: "Sliced by a sawblade", bar: "Clipped a low bar",
+    };
+    const buttonW = 260, buttonH = 48, gap = 12;
+    const bx = panel.x + panel.w - 40 - buttonW;
+    const textW = bx - x - 16;
+
+    drawText(causeText[RUN.death_cause] || causeText.spike, x, y, 24, [255, 150, 150], "left", 1, textW);
+    y += ts(30);
+    drawText(`Run Score: ${RUN.score}`, x, y, 30, [235, 235, 245], "left", 1, textW); y += ts(38);
+
+    const gained = playback ? 0 : runPayout();
+    drawText(`Run Coins: ${RUN.coins_run}   Payout: ${gained}`, x, y, 30, [235, 235, 245], "left", 1, textW); y += ts(38);
+    drawText(`Money: ${SAVE.money}`, x, y, 24, [235, 235, 245], "left", 1, textW); y += ts(30);
+    if (dailyRun) {
+      const note = dailyRun.rewarded ? "  (daily bonus!)" : "  (practice)";
+      drawText(`Daily best: ${SAVE.daily.best[dailyRun.key] || 0}${note}`, x, y, 24, DIM, "left", 1, textW); y += ts(30);
+    } else {
+      drawText(`Best: ${SAVE.best_score}`, x, y, 24, DIM, "left", 1, textW); y += ts(30);
     }
+    drawText(`Seed: ${RUN.seed}`, x, y, 20, DIM, "left", 1, textW); y += ts(26);
+    if (replayStatus === "match") drawText("Replay: identical result", x, y, 20, [150, 230, 170], "left", 1, textW);
+    else if (replayStatus === "desync") drawText("Replay: desynced!", x, y, 20, [255, 140, 140], "left", 1, textW);
 
-    // coin collect
-    const collected = [];
-    for (let i = 0; i < RUN.coins_list.length; i++) {
-      const c = RUN.coins_list[i];
-      if (colliderect(player, c)) {
-        collected.push(i);
-        RUN.coins_run += 1;
+    const stackH = (buttonH * 5) + (gap * 4);
+    const by = panel.y + Math.max(20, (panel.h - stackH) / 2);
+    const halfW = (buttonW - gap) / 2;
 
-        JUICE.coinPulse = 1;
-        sfx.coin();
+    const buttons = [
+      uiButton(rect(bx, by, buttonW, buttonH), "Play again", () => {
+        if (dailyRun) startDaily(); else resetRun();
+        paused = false; mode = MODE_PLAY; sfx.click();
+      }, "main"),
+      uiButton(rect(bx, by + (buttonH + gap), buttonW, buttonH), "Watch replay", () => { if (lastReplay) { startReplay(lastReplay); sfx.click(); } }, "sub"),
+      uiButton(rect(bx, by + 2 * (buttonH + gap), buttonW, buttonH), "Shop", () => { mode = MODE_SHOP; sfx.click(); }, "sub"),
+      uiButton(rect(bx, by + 3 * (buttonH + gap), buttonW, buttonH), "Menu", () => { paused = false; mode = MODE_MENU; sfx.click(); }, "sub"),
+      uiButton(rect(bx, by + 4 * (buttonH + gap), halfW, buttonH), "Export", exportReplay, "sub"),
+      uiButton(rect(bx + halfW + gap, by + 4 * (buttonH + gap), halfW, buttonH), "Import", importReplay, "sub"),
+    ];
 
-        spawnParticles(RUN.particles, centerx(c), centery(c),
-          12, 90, 280, 0.25, 0.65, 2.0, 4.2, [255, 235, 160], false);
-        addShake(2.0, 0.08);
-      }
+    // missions strip under the panel
+    let sy = panel.y + panel.h + 6;
+    for (const m of SAVE.missions.active) {
+      drawText(missionText(m), panel.x + 8, sy, 16, [220, 220, 235], "left", 1, 352 - ts(56));
+      drawText(`${Math.min(m.goal, Math.floor(m.progress))}/${m.goal}`, panel.x + 360, sy, 16, DIM, "right");
+      sy += ts(20);
     }
-    if (collected.length) {
-      const dead = new Set(collected);
-      RUN.coins_list = RUN.coins_list.filter((_, i) => !dead.has(i));
+    drawText(`Score x${SAVE.missions.score_mul.toFixed(2)}`, panel.x + panel.w - 8, panel.y + panel.h + 8, 16, COIN_C, "right");
+
+    for (const b of buttons) b.draw(mx, my, dt);
+    if (click) for (const b of buttons) if (b.tryClick(mx, my)) break;
+  }
+
+  // -------------------------
+  // Play update/draw
+  // -------------------------
+  // the particles an event throws off (also used by the benchmark)
+  function eventParticles(ev) {
+    if (ev.type === "jump" && ev.air) {
+      emit("air_jump", centerx(RUN.player), RUN.player.y + RUN.player.h, POWERUP_INFO.double_jump.color);
+    } else if (ev.type === "powerup") {
+      emit("powerup", ev.x, ev.y, POWERUP_INFO[ev.kind].color);
+    } else if (ev.type === "shield") {
+      emit("shield_pop", ev.x, ev.y, POWERUP_INFO.shield.color);
+    } else if (ev.type === "land") {
+      emit("land_dust", ev.x, ev.y, [230, 230, 240], { n: ev.ground ? 10 : 8 });
+    } else if (ev.type === "coin") {
+      emit("coin_sparkle", ev.x, ev.y, mixColor(coinColor(), [255, 255, 255], 0.4));
+    } else if (ev.type === "wall") {
+      emit("wall_sparks", ev.x, ev.y, [255, 170, 80]);
+      emit("coin_drop", ev.x - 20, ev.y, coinColor(), { n: Math.min(ev.lost, 12) });
+    } else if (ev.type === "crumble") {
+      emit("crumble", ev.x, ev.y, getColor("platform"));
+    } else if (ev.type === "dead") {
+      emit("death_burst", ev.x, ev.y, [240, 90, 90]);
     }
+  }
 
-    // hazard collide
-    for (const h of RUN.hazards) {
-      if (colliderect(player, h)) {
-        spawnParticles(RUN.particles, centerx(player), centery(player),
-          22, 180, 520, 0.35, 0.95, 2.0, 5.0, [240, 90, 90], false);
-        addShake(10.0, 0.25);
+  function onRunEvent(ev) {
+    if (!playback) {
+      achOnEvent(ev);
+      missionsOnEvent(ev);
+    }
+    eventParticles(ev);
+    if (ev.type === "jump") {
+      JUICE.playerStretch = 1;
+      sfx.jump();
+    } else if (ev.type === "powerup") {
+      sfx.powerup();
+    } else if (ev.type === "shield") {
+      sfx.shield();
+      addShake(5.0, 0.14);
+    } else if (ev.type === "land") {
+      JUICE.playerSquash = 1;
+    } else if (ev.type === "coin") {
+      JUICE.coinPulse = 1;
+      sfx.coin(coinStreak());
+      addShake(2.0, 0.08);
+    } else if (ev.type === "wall") {
+      JUICE.playerSquash = 1;
+      sfx.wall();
+      addShake(6.0, 0.16);
+    } else if (ev.type === "crumble") {
+      sfx.crumble();
+    } else if (ev.type === "zone") {
+      FX.zone_from = RUN.zone === 0 ? ZONES.length - 1 : RUN.zone - 1;
+      FX.zone_fade = 0.0;
+      const zone = ZONES[RUN.zone];
+      FX.banners.push({ kicker: `Zone ${RUN.zone + 1}`, title: zone.name, col: ZONE_PALETTES[zone.id].star, t: 0 });
+      sfx.powerup();
+    } else if (ev.type === "dead") {
+      addShake(10.0, 0.25);
+
+      awardMoneyAndSave();
+      updateBestScore(true);
 
-        awardMoneyAndSave();
-        updateBestScore(true);
+      sfx.dead();
+      mode = MODE_DEAD;
+    }
+  }
 
-        sfx.dead();
-        mode = MODE_DEAD;
-        return;
-      }
+  function playUpdate(dt, jumpPressed, jumpHeld, jumpReleased) {
+    step(RUN, { pressed: jumpPressed, held: jumpHeld, released: jumpReleased }, dt);
+    updateBestScore(false);
+
+    for (const ev of RUN.events) onRunEvent(ev);
+    if (!playback) {
+      if (!RUN.dead) ACH_RUN.nocut_t += dt;
+      checkAchievements();
+      checkMissions();
     }
+    if (RUN.dead) return;
 
-    updateParticles(RUN.particles, dt);
+    if (particleQuality() > 0) {
+      speedTrail(dt);
+      updateParticles(FX.particles, dt);
+    } else clearParticles(FX.particles);
+    FX.zone_fade = Math.min(1, FX.zone_fade + dt / ZONE_FADE_T);
+    if (FX.banners.length && (FX.banners[0].t += dt) >= BANNER_T) FX.banners.shift();
 
     // screenshake decay (more stable feel)
-    if (RUN.shake_t > 0) {
-      RUN.shake_t -= dt;
-      if (RUN.shake_t <= 0) RUN.shake_mag = 0.0;
+    if (FX.shake_t > 0) {
+      FX.shake_t -= dt;
+      if (FX.shake_t <= 0) FX.shake_mag = 0.0;
     } else {
-      RUN.shake_mag = Math.max(0, RUN.shake_mag - dt * 12);
+      FX.shake_mag = Math.max(0, FX.shake_mag - dt * 12);
     }
 
     // juice decay
@@ -1344,44 +3059,147 @@ window.addEventListener("error", (e) => {
 
   function playDraw(t) {
     let shakeX = 0, shakeY = 0;
-    if (RUN.shake_mag > 0.01 && RUN.shake_t > 0 && SAVE.settings.screenshake) {
-      const mag = RUN.shake_mag;
+    if (FX.shake_mag > 0.01 && FX.shake_t > 0 && SAVE.settings.screenshake) {
+      const mag = FX.shake_mag;
       shakeX = randi(-Math.floor(mag), Math.floor(mag));
       shakeY = randi(-Math.floor(mag * 0.6), Math.floor(mag * 0.6));
     }
     runDraw(shakeX, shakeY, t);
 
+    if (playback) {
+      const blink = reducedMotion() ? 1 : 0.55 + 0.45 * Math.sin(t * 4);
+      drawText(`REPLAY  seed ${playback.rep.seed}`, VIEW_W / 2, 12 + ts(68), 26, [255, 120, 120], "center", blink);
+    } else if (dailyRun) {
+      drawText(`DAILY ${dailyRun.key}: ${dailyRun.mods.map((m) => m.name).join(" + ")}`, VIEW_W / 2, 12 + ts(68), 22, COIN_C, "center");
+    }
+
     // coin pulse overlay (tiny “juice”)
-    if (JUICE.coinPulse > 0.001) {
+    if (JUICE.coinPulse > 0.001 && !reducedMotion()) {
       const a = 0.08 * JUICE.coinPulse;
-      ctx.fillStyle = `rgba(255,215,90,${a})`;
-      ctx.fillRect(0, 0, WIDTH, HEIGHT);
+      fillView(rgba(coinColor(), a));
     }
   }
 
+  // -------------------------
+  // Benchmark (Stats > Benchmark)
+  // -------------------------
+  // Plays the same seeded run twice with nobody at the controls, first drawing everything
+  // directly (as before the sprite caches) and then from the caches, and reports percentiles
+  // of the time runDraw took. Only the draw is timed: that's all the caches change. Between
+  // draws the run gets two SIM_DT ticks, one 60 Hz frame, so both passes draw the same frames;
+  // the player hops on a timer, an endless shield keeps it alive and the run's events only
+  // throw off their particles (no sound, rewards or saves).
+  const BENCH_SEED = 424242;
+  const BENCH_FRAMES = 600;
+  const BENCH_HOP_TICKS = 110;    // jump every this many sim ticks, held for the first 40
+  const BENCH = { pass: null, times: [], direct: null, cached: null };
+
+  function startBenchmark() {
+    BENCH.direct = BENCH.cached = null;
+    benchPass("direct");
+    mode = MODE_BENCH;
+    sfx.click();
+  }
+
+  function benchPass(pass) {
+    BENCH.pass = pass;
+    BENCH.times = [];
+    SPRITES.on = pass === "cached";
+    resetRun(BENCH_SEED, { ...BASE_PARAMS });
+    recording = null;
+  }
+
+  function stopBenchmark() {
+    SPRITES.on = true;
+    BENCH.pass = null;
+    mode = MODE_STATS;
+    statsTab = "perf";
+  }
+
+  const benchStats = (times) => ({
+    p50: percentile(times, 50), p95: percentile(times, 95), p99: percentile(times, 99),
+    max: Math.max(...times),
+  });
+
+  function benchFrame() {
+    for (let i = 0; i < 2; i++) {
+      const hop = RUN.ticks % BENCH_HOP_TICKS;
+      RUN.effects.shield = 99;
+      step(RUN, { pressed: hop === 0, held: hop < 40, released: hop === 40 }, SIM_DT);
+      for (const ev of RUN.events) eventParticles(ev);
+      if (RUN.dead) resetRun(BENCH_SEED, { ...BASE_PARAMS });
+      speedTrail(SIM_DT);
+      updateParticles(FX.particles, SIM_DT);
+    }
+    const t0 = performance.now();
+    runDraw(0, 0, RUN.time);
+    BENCH.times.push(performance.now() - t0);
+
+    const n = BENCH.times.length;
+    drawText(`Benchmark: ${BENCH.pass === "direct" ? "direct drawing" : "sprite caches"}  ${n}/${BENCH_FRAMES}`,
+      VIEW_W / 2, HEIGHT - 12 - ts(56), 26, COIN_C, "center");
+    drawText(`${bindingText("back")} to stop`, VIEW_W / 2, HEIGHT - 12 - ts(22), 18, DIM, "center");
+
+    if (n < BENCH_FRAMES) return;
+    BENCH[BENCH.pass] = benchStats(BENCH.times);
+    if (BENCH.pass === "direct") benchPass("cached");
+    else stopBenchmark();
+  }
+
+  function benchResults(panel, buttons) {
+    const x = panel.x + 22;
+    let y = panel.y + 18;
+    drawText(`Draw time per frame, ms - ${renderer.name} renderer`, x, y, 26, [245, 245, 250], "left", 1, panel.w - 44);
+    y += ts(40);
+    drawText(`${BENCH_FRAMES} frames of the same run, drawn directly and then from the sprite caches`, x, y, 18, DIM, "left", 1, panel.w - 44);
+    y += ts(40);
+
+    const cols = [["p50", 200], ["p95", 320], ["p99", 440], ["max", 560]];
+    for (const [label, cx] of cols) drawText(label, x + cx, y, 20, DIM);
+    y += ts(30);
+    for (const [id, label] of [["direct", "Direct"], ["cached", "Cached"]]) {
+      const r = BENCH[id];
+      drawText(label, x, y, 24, [220, 220, 235], "left", 1, 190);
+      if (r) cols.forEach(([key, cx]) => drawText(r[key].toFixed(2), x + cx, y, 24, [220, 220, 235]));
+      else drawText("-", x + 200, y, 24, DIM);
+      y += ts(34);
+    }
+    if (BENCH.direct && BENCH.cached) {
+      const k = BENCH.direct.p95 / Math.max(0.001, BENCH.cached.p95);
+      drawText(`p95 ${k >= 1 ? `${k.toFixed(2)}x faster` : `${(1 / k).toFixed(2)}x slower`} with the caches`, x, y + 8, 22, COIN_C);
+    }
+
+    buttons.push(uiButton(rect(x, panel.y + panel.h - 70, 300, 50), "Run Benchmark", startBenchmark, "main"));
+  }
+
   // -------------------------
   // Input (mouse + touch)
   // -------------------------
   let mouseX = 0, mouseY = 0;
   let clickThisFrame = false;
+  let pointerHeld = false;    // for drags (the volume sliders)
 
   const keysDown = new Set();
   let jumpPressed = false;
   let jumpReleased = false;
 
+  // window position -> game px on the current screen (menus sit STAGE_X into the view)
   function toGameCoords(clientX, clientY) {
-    return { gx: clientX - VIEW_OX, gy: clientY - VIEW_OY };
+    const p = toView({ x: VIEW_OX, y: VIEW_OY, scale: VIEW_SCALE }, clientX, clientY);
+    return { gx: p.gx - STAGE_X, gy: p.gy };
   }
 
   window.addEventListener("mousemove", (e) => {
     const p = toGameCoords(e.clientX, e.clientY);
     mouseX = p.gx; mouseY = p.gy;
+    NAV.visible = false;
   });
 
   function pointerDown(e) {
     const p = toGameCoords(e.clientX, e.clientY);
     mouseX = p.gx; mouseY = p.gy;
     clickThisFrame = true;
+    pointerHeld = true;
 
     // tap-to-jump while playing (if not clicking UI)
     if (mode === MODE_PLAY && !paused) {
@@ -1398,40 +3216,242 @@ window.addEventListener("error", (e) => {
     pointerDown(e);
   }, { passive: true });
 
+  // touch drags don't send mousemove
+  window.addEventListener("pointermove", (e) => {
+    if (!pointerHeld || e.pointerType === "mouse") return;
+    const p = toGameCoords(e.clientX, e.clientY);
+    mouseX = p.gx; mouseY = p.gy;
+  }, { passive: true });
+  window.addEventListener("pointerup", () => { pointerHeld = false; });
+  window.addEventListener("pointercancel", () => { pointerHeld = false; });
+
   window.addEventListener("keydown", (e) => {
+    if (bindCapture) {
+      // the key being bound doesn't also act (it may be Escape)
+      e.preventDefault();
+      if (e.code === "Backspace") bindControl(bindCapture.action, bindCapture.slot, null);
+      else if (bindCapture.slot !== "pad") bindControl(bindCapture.action, bindCapture.slot, e.code);
+      return;
+    }
     keysDown.add(e.code);
+    // outside a run Back is the only action that does anything, and a key bound to it goes
+    // back even if it's one the menus navigate with (as on the gamepad)
+    if (mode !== MODE_PLAY && !keyIs("back", e.code) && navKey(e)) return;
 
-    if (e.code === "KeyW" || e.code === "Space") jumpPressed = true;
-
-    if (e.code === "KeyP" && mode === MODE_PLAY) { paused = !paused; sfx.click(); }
-
-    if (e.code === "KeyR" && mode === MODE_PLAY) { resetRun(); paused = false; sfx.click(); }
+    if (keyIs("jump", e.code)) jumpPressed = true;
 
-    if (e.code === "Escape") {
-      updateBestScore(true);
-      if (mode === MODE_PLAY) { paused = false; mode = MODE_MENU; }
-      else if (mode === MODE_SHOP || mode === MODE_SETTINGS || mode === MODE_DEAD) mode = MODE_MENU;
-      else running = false;
+    if (keyIs("pause", e.code) && mode === MODE_PLAY) togglePause();
+    if (keyIs("restart", e.code) && mode === MODE_PLAY) restartRun();
 
+    if (keyIs("back", e.code)) {
+      goBack(true);
       if (SAVE.settings.fullscreen) setFullscreen(false);
-      sfx.click();
     }
   });
 
   window.addEventListener("keyup", (e) => {
     keysDown.delete(e.code);
-    if ((e.code === "KeyW" || e.code === "Space") && mode === MODE_PLAY) jumpReleased = true;
+    if (keyIs("jump", e.code) && mode === MODE_PLAY) jumpReleased = true;
   });
 
   function isJumpHeld() {
-    return keysDown.has("KeyW") || keysDown.has("Space");
+    const b = SAVE.settings.controls.jump;
+    return keysDown.has(b.key) || keysDown.has(b.alt) || padJumpHeld;
+  }
+
+  function togglePause() { paused = !paused; sfx.click(); }
+
+  function restartRun() {
+    if (playback) startReplay(playback.rep);
+    else if (dailyRun) startDaily();
+    else resetRun();
+    paused = false;
+    sfx.click();
+  }
+
+  // ESC / pad back: closes the open modal, else leaves the screen; only ESC quits from the menu
+  function goBack(canQuit) {
+    updateBestScore(true);
+    if (mode === MODE_PLAY) { paused = false; mode = MODE_MENU; }
+    else if (mode === MODE_BENCH) stopBenchmark();
+    else if (mode === MODE_SETTINGS && settingsImport) settingsImport = null;
+    else if (mode === MODE_SETTINGS && settingsPage !== "main") { settingsPage = "main"; bindCapture = null; }
+    else if (mode === MODE_MENU && profilePickerOpen) { profilePickerOpen = false; profileConfirm = null; }
+    else if (mode === MODE_SHOP || mode === MODE_SETTINGS || mode === MODE_STATS || mode === MODE_DEAD) mode = MODE_MENU;
+    else if (canQuit) running = false;
+    else return;
+    sfx.click();
+  }
+
+  // -------------------------
+  // Focus navigation (keyboard + gamepad)
+  // -------------------------
+  // Every Button registers itself when drawn. Arrows / Tab / the d-pad move a focus ring between
+  // the buttons drawn last frame, and Enter / Space / A click the focused one through the
+  // screen's own click path, so modals still block what's under them. Buttons drawn while
+  // muted (under a modal) can't take focus; navModal() moves focus to the modal's first button.
+  //
+  // Buttons are rebuilt every frame, so focus follows a button's position rather than its
+  // index: a screen that relabels or adds rows (shop categories, toggles) keeps focus put.
+  const NAV = { buttons: [], drawn: [], focus: 0, key: null, muted: false, sub: "", scope: null, visible: false, press: false };
+
+  const navKeyOf = (b) => `${Math.round(b.r.x)},${Math.round(b.r.y)}`;
+
+  function navRegister(b) {
+    if (NAV.muted) return false;
+    NAV.drawn.push(b);
+    return NAV.visible && navKeyOf(b) === NAV.key;
+  }
+  function navMute(on) { NAV.muted = on; }
+  // sub-pages and modals name themselves so focus starts over on their first button
+  function navScope(name) { NAV.sub += `/${name}`; }
+  function navModal() { navScope("modal"); }
+
+  // nearest button in the pressed direction (within a cone), weighting sideways distance so
+  // rows/columns win
+  function navMove(dx, dy) {
+    const cur = NAV.buttons[NAV.focus];
+    NAV.visible = true;
+    if (!cur) return;
+    const cx = centerx(cur.r), cy = cur.r.y + cur.r.h / 2;
+    let best = -1, bestCost = Infinity;
+    NAV.buttons.forEach((b, i) => {
+      const ox = centerx(b.r) - cx, oy = b.r.y + b.r.h / 2 - cy;
+      const along = ox * dx + oy * dy, side = Math.abs(ox * dy - oy * dx);
+      if (i === NAV.focus || along <= 1 || side > 2 * along) return;
+      const cost = along + 2.5 * side;
+      if (cost < bestCost) { bestCost = cost; best = i; }
+    });
+    if (best >= 0) navFocus(best);
+  }
+
+  // Tab order is draw order, wrapping round
+  function navStep(d) {
+    NAV.visible = true;
+    const n = NAV.buttons.length;
+    if (n) navFocus((NAV.focus + d + n) % n);
+  }
+
+  function navFocus(i) {
+    NAV.focus = i;
+    NAV.key = navKeyOf(NAV.buttons[i]);
+    sfx.click();
+  }
+
+  // the first confirm only shows where focus is
+  function navConfirm() {
+    if (NAV.visible) NAV.press = true;
+    NAV.visible = true;
+  }
+
+  // the focused button's center when a confirm is pending, for a synthetic click this frame
+  function navTakePress() {
+    const b = NAV.press && NAV.buttons[NAV.focus];
+    NAV.press = false;
+    return b ? { x: centerx(b.r), y: b.r.y + b.r.h / 2 } : null;
+  }
+
+  const NAV_DIRS = { ArrowUp: [0, -1], ArrowDown: [0, 1], ArrowLeft: [-1, 0], ArrowRight: [1, 0] };
+  const NAV_CONFIRM = ["Enter", "NumpadEnter", "Space"];
+  const isNavKey = (code) => Object.hasOwn(NAV_DIRS, code) || code === "Tab" || NAV_CONFIRM.includes(code);
+
+  // arrows / Tab move the focus, Enter / Space click it; true when the key was used
+  function navKey(e) {
+    if (Object.hasOwn(NAV_DIRS, e.code)) navMove(...NAV_DIRS[e.code]);
+    else if (e.code === "Tab") navStep(e.shiftKey ? -1 : 1);
+    else if (NAV_CONFIRM.includes(e.code)) navConfirm();
+    else return false;
+    e.preventDefault();
+    return true;
+  }
+
+  function navBeginFrame() {
+    NAV.drawn = [];
+    NAV.muted = false;
+    NAV.sub = "";
+  }
+
+  function navEndFrame() {
+    const scope = mode + NAV.sub;
+    let i = NAV.drawn.findIndex((b) => navKeyOf(b) === NAV.key);
+    if (scope !== NAV.scope) { NAV.scope = scope; i = 0; }
+    // the focused button went away: stay at the same place in the list
+    if (i < 0) i = clamp(NAV.focus, 0, NAV.drawn.length - 1);
+    NAV.buttons = NAV.drawn;
+    NAV.focus = Math.max(0, i);
+    NAV.key = NAV.buttons.length ? navKeyOf(NAV.buttons[NAV.focus]) : null;
+  }
+
+  // -------------------------
+  // Gamepad (standard mapping, first connected pad)
+  // -------------------------
+  const PAD_A = 0, PAD_START = 9; // menu confirm; the actions use their bindings
+  const PAD_UP = 12, PAD_DOWN = 13, PAD_LEFT = 14, PAD_RIGHT = 15;
+  const PAD_STICK = 0.5;                        // left stick deflection that counts as a direction
+  const PAD_REPEAT_DELAY = 0.38, PAD_REPEAT_T = 0.12;
+  const PAD = { prev: [], dir: null, repeat_t: 0 };
+  let padJumpHeld = false;
+
+  function firstGamepad() {
+    const pads = navigator.getGamepads ? navigator.getGamepads() : [];
+    for (const p of pads) if (p && p.connected) return p;
+    return null;
+  }
+
+  // polled once per frame before the screens run
+  function pollGamepad(dt) {
+    const pad = firstGamepad();
+    const down = pad ? pad.buttons.map((b) => b.pressed) : [];
+    const prev = PAD.prev;
+    const edge = (i) => !!down[i] && !prev[i];
+    PAD.prev = down;
+
+    const live = mode === MODE_PLAY && !paused;
+    const held = !!down[padButton("jump")];
+    if (live && held && !padJumpHeld) jumpPressed = true;
+    if (live && !held && padJumpHeld) jumpReleased = true;
+    padJumpHeld = held;
+    if (!pad) return;
+
+    if (bindCapture) {
+      const i = down.findIndex((d, i) => d && !prev[i]);
+      if (i >= 0 && bindCapture.slot === "pad") bindControl(bindCapture.action, "pad", i);
+      return;
+    }
+
+    if (mode === MODE_PLAY) {
+      if (edge(padButton("pause"))) togglePause();
+      else if (edge(padButton("restart"))) restartRun();
+      // back is next to jump on most pads, so it only leaves a paused run
+      else if (paused && edge(padButton("back"))) goBack(false);
+      return;
+    }
+    if (edge(padButton("back"))) { goBack(false); return; }
+
+    const ax = pad.axes[0] || 0, ay = pad.axes[1] || 0;
+    let dir = null;
+    if (down[PAD_UP] || ay < -PAD_STICK) dir = "up";
+    else if (down[PAD_DOWN] || ay > PAD_STICK) dir = "down";
+    else if (down[PAD_LEFT] || ax < -PAD_STICK) dir = "left";
+    else if (down[PAD_RIGHT] || ax > PAD_STICK) dir = "right";
+
+    if (dir !== PAD.dir) { PAD.dir = dir; PAD.repeat_t = PAD_REPEAT_DELAY; if (dir) padMove(dir); }
+    else if (dir && (PAD.repeat_t -= dt) <= 0) { PAD.repeat_t = PAD_REPEAT_T; padMove(dir); }
+
+    if (edge(PAD_A) || edge(PAD_START)) navConfirm();
+  }
+
+  function padMove(dir) {
+    if (dir === "up") navMove(0, -1);
+    else if (dir === "down") navMove(0, 1);
+    else if (dir === "left") navMove(-1, 0);
+    else navMove(1, 0);
   }
 
   // -------------------------
   // Main loop + letterbox render
   // -------------------------
   resetRun();
-  ensureGenerationAhead();
 
   let running = true;
   let lastTS = performance.now();
@@ -1455,45 +3475,61 @@ window.addEventListener("error", (e) => {
     fpsEstimate = fpsEstimate + (instFps - fpsEstimate) * fpsSmoothing;
 
     uiTick(dt);
+    updateMusic();
 
     // edge flags
-    const localClick = clickThisFrame;
+    let localClick = clickThisFrame;
     clickThisFrame = false;
+    let mx = mouseX, my = mouseY;
 
-    const localJumpPressed = jumpPressed;
-    const localJumpReleased = jumpReleased;
-    jumpPressed = false;
-    jumpReleased = false;
-
-    // Clear whole window
-    ctx.setTransform(DPR, 0, 0, DPR, 0, 0);
-    ctx.fillStyle = "black";
-    ctx.fillRect(0, 0, WIN_W, WIN_H);
+    pollGamepad(dt);
+    const navPt = navTakePress();
+    if (navPt) { localClick = true; mx = navPt.x; my = navPt.y; }
+    navBeginFrame();
 
-    // Draw into letterboxed region
-    ctx.save();
-    ctx.translate(VIEW_OX, VIEW_OY);
-    ctx.beginPath();
-    ctx.rect(0, 0, WIDTH, HEIGHT);
-    ctx.clip();
+    // Clear whole window (the page behind is black, and a WebGL background shows through)
+    renderer.beginFrame();
 
-    const mx = mouseX, my = mouseY;
+    // Draw into the scaled view, menus centered in it
+    renderer.save();
+    renderer.translate(VIEW_OX, VIEW_OY);
+    renderer.scale(VIEW_SCALE, VIEW_SCALE);
+    renderer.clip(0, 0, VIEW_W, HEIGHT);
+    STAGE_X = mode === MODE_PLAY || mode === MODE_BENCH ? 0 : Math.floor((VIEW_W - GAME_W) / 2);
+    renderer.save();
+    renderer.translate(STAGE_X, 0);
 
     if (mode === MODE_MENU) {
       menuScreen(mx, my, localClick, dt);
     } else if (mode === MODE_SHOP) {
       shopScreen(mx, my, localClick, dt);
+    } else if (mode === MODE_STATS) {
+      statsScreen(mx, my, localClick, dt);
     } else if (mode === MODE_SETTINGS) {
       settingsScreen(mx, my, localClick, dt);
     } else if (mode === MODE_DEAD) {
       deadScreen(mx, my, localClick, dt);
+    } else if (mode === MODE_BENCH) {
+      benchFrame();
     } else if (mode === MODE_PLAY) {
-      if (!paused) playUpdate(dt, localJumpPressed, isJumpHeld(), localJumpReleased);
+      if (!paused) stepSimulation(dt);
       playDraw(tAccum);
-      if (paused) pauseOverlay();
+      if (paused) { renderer.dropGlows(); pauseOverlay(); }
     }
+    renderer.restore();
 
-    ctx.restore();
+    drawToasts(dt);
+
+    renderer.restore();
+    endRenderFrame();
+    navEndFrame();
+    pruneButtons();
+
+    // jump edges only carry over while a run is live (the fixed step may not have ticked yet)
+    if (mode !== MODE_PLAY || paused) {
+      jumpPressed = false;
+      jumpReleased = false;
+    }
 
     requestAnimationFrame(frame);
   }
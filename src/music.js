@@ -0,0 +1,57 @@
+// src/music.js
+// Procedural music: a four-bar loop in A minor whose notes come from the bar, the step and how
+// intense the run is, so nothing is stored and nothing repeats exactly for long. Tempo and
+// intensity follow the run speed. DOM-free; main.js turns the notes into WebAudio voices.
+
+import { BASE_SPEED, MAX_SPEED } from "./constants.js";
+import { clamp, mixSeed } from "./util.js";
+
+export const STEPS_PER_BAR = 16;   // sixteenth notes
+export const MUSIC_ROOT = 45;      // A2, as a MIDI note
+
+const TEMPO_MIN = 96, TEMPO_MAX = 156;   // bpm at BASE_SPEED / MAX_SPEED
+const PENTATONIC = [0, 3, 5, 7, 10];     // minor pentatonic, fits every chord below
+
+// Am - F - C - G: chord root (semitones over MUSIC_ROOT) and its third
+const CHORDS = [[0, 3], [8, 4], [3, 4], [10, 4]];
+
+export const midiHz = (m) => 440 * 2 ** ((m - 69) / 12);
+
+// 0 at the start speed, 1 at top speed
+export const musicIntensity = (speed) => clamp((speed - BASE_SPEED) / (MAX_SPEED - BASE_SPEED), 0, 1);
+export const musicTempo = (speed) => TEMPO_MIN + (TEMPO_MAX - TEMPO_MIN) * musicIntensity(speed);
+
+// Notes starting on one step: { voice, midi?, dur (in steps), gain (0..1) }. Layers come in as
+// the intensity rises: pad and bass first, then the kick on every beat, hats, a lead, 16th hats.
+export function musicNotes(bar, step, intensity) {
+  const notes = [];
+  const [root, third] = CHORDS[bar % CHORDS.length];
+  const bass = MUSIC_ROOT + root;
+
+  if (step === 0) notes.push({ voice: "pad", midi: [bass + 12, bass + 12 + third, bass + 19], dur: STEPS_PER_BAR, gain: 1 - 0.5 * intensity });
+
+  if (step % 8 === 0 || (step % 4 === 0 && intensity > 0.3)) notes.push({ voice: "kick", dur: 1, gain: 1 });
+  if (step % 4 === 2 && intensity > 0.15) notes.push({ voice: "hat", dur: 1, gain: 1 });
+  else if (step % 2 === 1 && intensity > 0.65) notes.push({ voice: "hat", dur: 1, gain: 0.5 });
+
+  if (step % 4 === 0) notes.push({ voice: "bass", midi: bass, dur: 3, gain: 1 });
+  else if (step % 4 === 2 && intensity > 0.4) notes.push({ voice: "bass", midi: bass + 12, dur: 1.5, gain: 0.7 });
+
+  // the lead phrase is picked from the bar within an 8-bar cycle, so it comes round again
+  if (intensity > 0.25) {
+    const h = mixSeed((bar % 8) * STEPS_PER_BAR + step + 1);
+    if ((h % 1000) / 1000 < 0.12 + 0.4 * intensity) {
+      const deg = (h >>> 10) % PENTATONIC.length;
+      const oct = (h >>> 14) % 3 === 0 ? 36 : 24;
+      notes.push({ voice: "lead", midi: MUSIC_ROOT + oct + PENTATONIC[deg], dur: (h >>> 16) % 2 ? 2 : 1, gain: 1 });
+    }
+  }
+  return notes;
+}
+
+// semitones a coin pickup is raised by: up the pentatonic scale with each coin in a streak,
+// topping out two octaves up
+export function streakSemis(streak) {
+  const n = Math.min(streak, PENTATONIC.length * 2);
+  return 12 * Math.floor(n / PENTATONIC.length) + PENTATONIC[n % PENTATONIC.length];
+}
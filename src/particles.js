@@ -0,0 +1,121 @@
+// src/particles.js
+// Render-only particles in a fixed-capacity pool of typed arrays. Live particles are packed at
+// the front (a dead one is swapped out for the last), so nothing is allocated while a run
+// plays; bursts past the cap are cut short. Emitters are named presets with a color ramp over
+// each particle's life and a shape. DOM-free; main.js draws them.
+
+import { TAU, clamp, randf } from "./util.js";
+
+export const PARTICLE_CAP = 1200;
+
+export const SHAPE_CIRCLE = 0, SHAPE_SQUARE = 1, SHAPE_SPARK = 2, SHAPE_STREAK = 3;
+
+// particle count multiplier per quality setting
+export const PARTICLE_QUALITY = { off: 0, low: 0.35, medium: 0.7, high: 1 };
+
+// Ramp stops are [t, color, alpha] over the particle's life (0 = born, 1 = gone); a null color
+// is the color the emitter was given.
+const FADE = [[0, null, 0.85], [1, null, 0]];
+const FLASH = [[0, [255, 255, 255], 1], [0.25, null, 0.9], [1, null, 0]];
+
+// spread: "any" direction, "up" (upper half), "back" (thrown back to the left);
+// gravity in px/s^2; drag per 1/60 s
+export const EMITTERS = {
+  land_dust:    { n: 10, speed: [90, 240],  life: [0.25, 0.55], size: [2, 4.5], spread: "up",   gravity: 1600, drag: 0.985, ramp: [[0, null, 0.7], [1, [120, 120, 130], 0]], shape: SHAPE_CIRCLE },
+  coin_sparkle: { n: 12, speed: [90, 280],  life: [0.25, 0.65], size: [2, 4.2], spread: "any",  gravity: 600,  drag: 0.96,  ramp: FLASH, shape: SHAPE_SPARK },
+  death_burst:  { n: 22, speed: [180, 520], life: [0.35, 0.95], size: [2, 5],   spread: "any",  gravity: 1600, drag: 0.985, ramp: [[0, [255, 240, 220], 1], [0.2, null, 1], [1, [90, 20, 30], 0]], shape: SHAPE_SQUARE },
+  speed_trail:  { n: 1,  speed: [10, 40],   life: [0.18, 0.32], size: [2, 3.5], spread: "back", gravity: 0,    drag: 0.9,   ramp: [[0, null, 0.5], [1, null, 0]], shape: SHAPE_STREAK },
+  air_jump:     { n: 10, speed: [80, 200],  life: [0.2, 0.4],   size: [2, 3.5], spread: "any",  gravity: 1600, drag: 0.985, ramp: FADE, shape: SHAPE_CIRCLE },
+  powerup:      { n: 18, speed: [100, 300], life: [0.3, 0.7],   size: [2, 4.5], spread: "any",  gravity: 1600, drag: 0.985, ramp: FLASH, shape: SHAPE_CIRCLE },
+  shield_pop:   { n: 20, speed: [140, 380], life: [0.3, 0.7],   size: [2, 4.5], spread: "any",  gravity: 1600, drag: 0.985, ramp: FLASH, shape: SHAPE_SPARK },
+  wall_sparks:  { n: 16, speed: [160, 420], life: [0.2, 0.45],  size: [1.5, 3.5], spread: "back", gravity: 1600, drag: 0.985, ramp: [[0, [255, 240, 200], 1], [0.4, null, 0.9], [1, [120, 40, 20], 0]], shape: SHAPE_STREAK },
+  coin_drop:    { n: 12, speed: [60, 220],  life: [0.3, 0.7],   size: [2, 4.2], spread: "up",   gravity: 1600, drag: 0.985, ramp: FADE, shape: SHAPE_CIRCLE },
+  crumble:      { n: 10, speed: [40, 140],  life: [0.3, 0.7],   size: [2, 4],   spread: "up",   gravity: 1600, drag: 0.985, ramp: FADE, shape: SHAPE_SQUARE },
+};
+const PRESET_IDS = Object.keys(EMITTERS);
+
+export function createParticles(cap = PARTICLE_CAP) {
+  return {
+    cap,
+    n: 0,   // live particles, packed into [0, n)
+    x: new Float32Array(cap), y: new Float32Array(cap),
+    vx: new Float32Array(cap), vy: new Float32Array(cap),
+    life: new Float32Array(cap), max_life: new Float32Array(cap),
+    size: new Float32Array(cap),
+    preset: new Uint8Array(cap),
+    col: new Uint8Array(cap * 3),   // the emitter's color, for null ramp stops
+  };
+}
+
+export const clearParticles = (ps) => { ps.n = 0; };
+
+// Emits a preset's burst at x, y; quality scales the count (fractions round by chance, so low
+// settings still show something), opts.n overrides the preset's count.
+export function emitParticles(ps, id, x, y, col, quality = 1, opts = {}) {
+  const e = EMITTERS[id];
+  const want = (opts.n ?? e.n) * quality;
+  const count = Math.floor(want) + (Math.random() < want % 1 ? 1 : 0);
+  const pi = PRESET_IDS.indexOf(id);
+  for (let k = 0; k < count && ps.n < ps.cap; k++) {
+    const i = ps.n++;
+    let ang;
+    if (e.spread === "up") ang = randf(-Math.PI, 0);
+    else if (e.spread === "back") ang = randf(Math.PI * 0.65, Math.PI * 1.35);
+    else ang = randf(0, TAU);
+    const sp = randf(e.speed[0], e.speed[1]);
+    ps.x[i] = x;
+    ps.y[i] = y;
+    ps.vx[i] = Math.cos(ang) * sp + (opts.vx ?? 0);
+    ps.vy[i] = Math.sin(ang) * sp;
+    ps.life[i] = ps.max_life[i] = randf(e.life[0], e.life[1]);
+    ps.size[i] = randf(e.size[0], e.size[1]);
+    ps.preset[i] = pi;
+    ps.col[i * 3] = col[0]; ps.col[i * 3 + 1] = col[1]; ps.col[i * 3 + 2] = col[2];
+  }
+}
+
+function moveParticle(ps, from, to) {
+  ps.x[to] = ps.x[from]; ps.y[to] = ps.y[from];
+  ps.vx[to] = ps.vx[from]; ps.vy[to] = ps.vy[from];
+  ps.life[to] = ps.life[from]; ps.max_life[to] = ps.max_life[from];
+  ps.size[to] = ps.size[from];
+  ps.preset[to] = ps.preset[from];
+  ps.col.copyWithin(to * 3, from * 3, from * 3 + 3);
+}
+
+export function updateParticles(ps, dt) {
+  for (let i = 0; i < ps.n; ) {
+    ps.life[i] -= dt;
+    if (ps.life[i] <= 0) {
+      moveParticle(ps, --ps.n, i); // the last one takes this slot and is updated next
+      continue;
+    }
+    const e = EMITTERS[PRESET_IDS[ps.preset[i]]];
+    const drag = Math.pow(e.drag, dt * 60);
+    ps.vy[i] += e.gravity * dt;
+    ps.vx[i] *= drag;
+    ps.vy[i] *= drag;
+    ps.x[i] += ps.vx[i] * dt;
+    ps.y[i] += ps.vy[i] * dt;
+    i++;
+  }
+}
+
+export const particleShape = (ps, i) => EMITTERS[PRESET_IDS[ps.preset[i]]].shape;
+
+// color + alpha of particle i along its preset's ramp, written into out ([r, g, b, a])
+export function particleColor(ps, i, out) {
+  const ramp = EMITTERS[PRESET_IDS[ps.preset[i]]].ramp;
+  const t = clamp(1 - ps.life[i] / ps.max_life[i], 0, 1);
+  let s = 1;
+  while (s < ramp.length - 1 && ramp[s][0] < t) s++;
+  const [t0, c0, a0] = ramp[s - 1], [t1, c1, a1] = ramp[s];
+  const k = t1 > t0 ? clamp((t - t0) / (t1 - t0), 0, 1) : 1;
+  for (let c = 0; c < 3; c++) {
+    const v0 = c0 ? c0[c] : ps.col[i * 3 + c];
+    const v1 = c1 ? c1[c] : ps.col[i * 3 + c];
+    out[c] = Math.round(v0 + (v1 - v0) * k);
+  }
+  out[3] = a0 + (a1 - a0) * k;
+  return out;
+}
@@ -0,0 +1,255 @@
+// src/save.js
+// Save data: versioned migrations, validation, rotating backups, the fallback for a save
+// that can't be read, and the copyable save code. DOM-free like sim.js: storage is anything with getItem / setItem
+// (localStorage in the game), and what a save is checked against comes from main.js as a
+// schema:
+//   defaults()             a fresh save
+//   cosmetics, upgrades    the COSMETICS / UPGRADES catalogs
+//   achievements           the ACHIEVEMENTS catalog (only the ids are read)
+//   missions               { def(id), fill(active, completed), slots, mulMax }
+//   controls(raw)          control bindings, validated
+//   textScales             the text size choices
+
+import { clamp, fnv1a } from "./util.js";
+import { PARTICLE_QUALITY } from "./particles.js";
+import { COLORBLIND_MODES } from "./colorblind.js";
+import { SCALE_MODES } from "./viewport.js";
+
+export const SAVE_VERSION = 3;
+
+// Rotating backups: a snapshot goes into the older slot at most every BACKUP_EVERY_MS, so
+// the slots hold the last two snapshots rather than two copies of the current save.
+export const backupKeys = (key) => [`${key}_backup0`, `${key}_backup1`];
+export const BACKUP_EVERY_MS = 5 * 60 * 1000;
+export const corruptKey = (key) => `${key}_corrupt`; // last unreadable save, kept for hand recovery
+
+export const HISTORY_MAX = 120; // oldest runs are trimmed, but never the top 10
+
+export const isCount = (v) => Number.isInteger(v) && v >= 0;
+
+// a save that can't be used (bad JSON, wrong shape); anything else thrown while loading is a bug
+export class SaveError extends Error {}
+
+export function deepMerge(dst, src) {
+  for (const k of Object.keys(src)) {
+    const v = src[k];
+    if (!(k in dst)) dst[k] = v;
+    else if (
+      v && typeof v === "object" && !Array.isArray(v) &&
+      dst[k] && typeof dst[k] === "object" && !Array.isArray(dst[k])
+    ) deepMerge(dst[k], v);
+  }
+}
+
+// MIGRATIONS[n] takes a version n + 1 save to version n + 2, applied in order on load
+export const MIGRATIONS = [
+  // 1 -> 2: saves gained a version number. v1 saves have the same shape; the power-up
+  // upgrades, pit_mode and daily fields they may lack come from the defaults.
+  (d) => d,
+  // 2 -> 3: settings.particles went from on / off to a PARTICLE_QUALITY key
+  (d) => {
+    const settings = d.settings;
+    if (settings && typeof settings.particles === "boolean") settings.particles = settings.particles ? "high" : "off";
+    return d;
+  },
+];
+
+export function migrateSave(data) {
+  let v = Number.isInteger(data.version) && data.version >= 1 ? data.version : 1;
+  for (; v < SAVE_VERSION; v++) data = MIGRATIONS[v - 1](data);
+  data.version = Math.max(v, SAVE_VERSION); // a newer build's save is read as best we can
+  return data;
+}
+
+// enough of a run record for the stats screen to draw it
+export function isRunRecord(r) {
+  return !!r && typeof r === "object" && ["at", "score", "coins", "payout", "distance"].every((k) => isCount(r[k])) &&
+    Number.isFinite(r.duration) && typeof r.cause === "string" && Number.isInteger(r.seed);
+}
+
+// Checks every field against the defaults and the schema's catalogs. Anything that can be
+// fixed is (unknown names and keys dropped, levels clamped, unowned cosmetics unequipped);
+// a save without a usable money / best_score is treated as corrupt and throws.
+export function validateSave(data, schema) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) throw new SaveError("save is not an object");
+  if (!isCount(data.money) || !isCount(data.best_score)) throw new SaveError("bad money / best_score");
+  const def = schema.defaults();
+  const obj = (v) => (v && typeof v === "object" && !Array.isArray(v) ? v : {});
+
+  const owned = obj(data.owned), cosmetics = obj(data.cosmetics);
+  data.owned = {};
+  data.cosmetics = {};
+  for (const cat of Object.keys(schema.cosmetics)) {
+    const names = Array.isArray(owned[cat]) ? owned[cat] : [];
+    const list = [...new Set(names.filter((n) => typeof n === "string" && n in schema.cosmetics[cat]))];
+    for (const n of def.owned[cat]) if (!list.includes(n)) list.unshift(n);
+    data.owned[cat] = list;
+    data.cosmetics[cat] = list.includes(cosmetics[cat]) ? cosmetics[cat] : def.cosmetics[cat];
+  }
+
+  const upgrades = obj(data.upgrades);
+  data.upgrades = {};
+  for (const [key, up] of Object.entries(schema.upgrades)) {
+    data.upgrades[key] = isCount(upgrades[key]) ? Math.min(upgrades[key], up.max) : 0;
+  }
+
+  const settings = obj(data.settings);
+  data.settings = {};
+  for (const [key, v] of Object.entries(def.settings)) {
+    data.settings[key] = typeof settings[key] === typeof v ? settings[key] : v;
+  }
+  data.settings.controls = schema.controls(settings.controls);
+  if (!Object.hasOwn(PARTICLE_QUALITY, data.settings.particles)) data.settings.particles = "high";
+  if (!Object.hasOwn(COLORBLIND_MODES, data.settings.colorblind)) data.settings.colorblind = "off";
+  if (!schema.textScales.includes(data.settings.text_scale)) data.settings.text_scale = 1;
+  if (!Object.hasOwn(SCALE_MODES, data.settings.scaling)) data.settings.scaling = "smooth";
+  for (const key of ["vol_master", "vol_music", "vol_sfx"]) {
+    if (!Number.isFinite(data.settings[key])) data.settings[key] = def.settings[key];
+    data.settings[key] = clamp(data.settings[key], 0, 1);
+  }
+
+  const daily = obj(data.daily);
+  data.daily = {
+    best: Object.fromEntries(Object.entries(obj(daily.best)).filter(([k, v]) => /^\d{4}-\d\d-\d\d$/.test(k) && isCount(v))),
+    rewarded_day: typeof daily.rewarded_day === "string" ? daily.rewarded_day : "",
+    last_day: typeof daily.last_day === "string" ? daily.last_day : "",
+    streak: isCount(daily.streak) ? daily.streak : 0,
+  };
+
+  data.history = (Array.isArray(data.history) ? data.history : []).filter(isRunRecord).slice(-HISTORY_MAX);
+  const lifetime = obj(data.lifetime);
+  data.lifetime = {};
+  for (const [key, v] of Object.entries(def.lifetime)) {
+    data.lifetime[key] = Number.isFinite(lifetime[key]) && lifetime[key] >= 0 ? lifetime[key] : v;
+  }
+
+  const ach = obj(data.achievements);
+  const known = (v, ok) => Object.fromEntries(Object.entries(obj(v)).filter(([id, n]) => schema.achievements.some((a) => a.id === id) && ok(n)));
+  data.achievements = {
+    progress: known(ach.progress, (n) => Number.isFinite(n) && n >= 0),
+    unlocked: known(ach.unlocked, isCount),
+    counters: Object.fromEntries(Object.keys(def.achievements.counters).map((k) => [k, isCount(obj(ach.counters)[k]) ? ach.counters[k] : 0])),
+  };
+
+  const missions = schema.missions;
+  const ms = obj(data.missions);
+  const completed = isCount(ms.completed) ? ms.completed : 0;
+  const active = (Array.isArray(ms.active) ? ms.active : [])
+    .filter((m) => m && missions.def(m.id) && isCount(m.goal) && m.goal > 0 && Number.isFinite(m.progress) && m.progress >= 0)
+    .filter((m, i, list) => list.findIndex((o) => o.id === m.id) === i)
+    .slice(0, missions.slots);
+  data.missions = {
+    active: missions.fill(active, completed),
+    completed,
+    score_mul: Number.isFinite(ms.score_mul) ? clamp(ms.score_mul, 1, missions.mulMax) : 1,
+  };
+
+  if (!Number.isFinite(data.saved_at)) data.saved_at = 0;
+  for (const key of Object.keys(data)) if (!(key in def)) delete data[key];
+  return data;
+}
+
+// parsed JSON of any version -> current, validated save (throws if it can't be used)
+export function normalizeSave(obj, schema) {
+  if (!obj || typeof obj !== "object" || Array.isArray(obj)) throw new SaveError("save is not an object");
+  const data = migrateSave(obj);
+  deepMerge(data, schema.defaults());
+  return validateSave(data, schema);
+}
+
+export function parseSave(raw, schema) {
+  let obj;
+  try { obj = JSON.parse(raw); } catch (err) { throw new SaveError(`not JSON: ${err.message}`); }
+  return normalizeSave(obj, schema);
+}
+
+// the usable backups of the save under key, newest first
+export function readBackups(storage, key, schema) {
+  const out = [];
+  for (const k of backupKeys(key)) {
+    let raw = null;
+    try { raw = storage.getItem(k); } catch (_) {}
+    if (!raw) continue;
+    try {
+      out.push({ key: k, data: parseSave(raw, schema) });
+    } catch (err) {
+      if (!(err instanceof SaveError)) throw err;
+    }
+  }
+  return out.sort((a, b) => b.data.saved_at - a.data.saved_at);
+}
+
+// json (saved at now) goes into the older backup slot of key, if that's due or forced
+export function writeBackup(storage, key, json, now, force = false) {
+  const slots = backupKeys(key).map((k) => {
+    try { return { key: k, at: JSON.parse(storage.getItem(k) || "null")?.saved_at || 0 }; } catch (_) { return { key: k, at: 0 }; }
+  });
+  if (!force && now - Math.max(...slots.map((s) => s.at)) < BACKUP_EVERY_MS) return;
+  const oldest = slots.reduce((a, b) => (b.at < a.at ? b : a));
+  storage.setItem(oldest.key, json);
+}
+
+// Reads the save under key: { data, notice, error }. A save that won't parse or validate is
+// set aside under corruptKey and the newest good backup is used instead; defaults only when
+// there's nothing to restore (notice says which, error why). Other errors are bugs and are
+// thrown on rather than costing the player their save.
+export function loadSave(storage, key, schema) {
+  let raw = null;
+  try { raw = storage.getItem(key); } catch (_) { return { data: schema.defaults() }; }
+  if (!raw) return { data: schema.defaults() };
+  try {
+    return { data: parseSave(raw, schema) };
+  } catch (error) {
+    if (!(error instanceof SaveError)) throw error;
+    try { storage.setItem(corruptKey(key), raw); } catch (_) {}
+    const backup = readBackups(storage, key, schema)[0];
+    if (!backup) return { data: schema.defaults(), notice: "Your save was damaged and had to be reset.", error };
+    try { storage.setItem(key, JSON.stringify(backup.data)); } catch (_) {}
+    return { data: backup.data, notice: "Your save was damaged and has been restored from a backup.", error };
+  }
+}
+
+// -------------------------
+// Save codes: "RUNNER2.<base64url of deflated JSON>.<fnv1a of the body>"
+// -------------------------
+// The whole save goes in, run history too; deflate keeps a full history short enough to paste.
+// RUNNER1 codes (plain base64url JSON, before compression) are still read.
+export const SAVE_CODE_PREFIX = "RUNNER2";
+const PLAIN_CODE_PREFIX = "RUNNER1";
+
+function toBase64Url(bytes) {
+  let bin = "";
+  for (const b of bytes) bin += String.fromCharCode(b);
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+const fromBase64Url = (str) => Uint8Array.from(atob(str.replace(/-/g, "+").replace(/_/g, "/")), (c) => c.charCodeAt(0));
+
+const checksum = (body) => fnv1a(body).toString(16).padStart(8, "0");
+
+const pipe = (data, transform) => new Response(new Blob([data]).stream().pipeThrough(transform));
+
+export async function saveToCode(data) {
+  const rest = { ...data };
+  delete rest.saved_at;
+  const packed = await pipe(JSON.stringify(rest), new CompressionStream("deflate-raw")).arrayBuffer();
+  const body = toBase64Url(new Uint8Array(packed));
+  return `${SAVE_CODE_PREFIX}.${body}.${checksum(body)}`;
+}
+
+// parsed save from a code, not yet migrated or validated (see normalizeSave)
+export async function saveFromCode(code) {
+  const m = /^([A-Z0-9]+)\.([A-Za-z0-9_-]+)\.([0-9a-f]{8})$/.exec(code.replace(/\s+/g, ""));
+  if (!m || (m[1] !== SAVE_CODE_PREFIX && m[1] !== PLAIN_CODE_PREFIX)) throw new SaveError("that isn't a save code");
+  if (checksum(m[2]) !== m[3]) throw new SaveError("the code is mistyped or cut off (checksum mismatch)");
+  let json;
+  try {
+    const bytes = fromBase64Url(m[2]);
+    json = m[1] === PLAIN_CODE_PREFIX
+      ? new TextDecoder().decode(bytes)
+      : await pipe(bytes, new DecompressionStream("deflate-raw")).text();
+  } catch (_) {
+    throw new SaveError("the code is damaged");
+  }
+  try { return JSON.parse(json); } catch (err) { throw new SaveError(`not JSON: ${err.message}`); }
+}
@@ -0,0 +1,547 @@
+// src/sim.js
+// Headless run simulation: state, level generation, physics and collisions.
+// No canvas/document/window in here, so it runs the same in the browser and in Node.
+//
+//   const run = createRun(params, seed);
+//   step(run, { pressed, held, released }, dt);
+//   for (const ev of run.events) ...   // "jump" | "land" | "coin" | "powerup" | "shield" | "crumble" | "cut" | "wall" | "zone" | "dead"
+//
+// The world is split into ZONES by distance (zoneAt); run.zone / run.gravity follow the player.
+//
+// Platforms have a kind: "static", "moving" (bobs around baseY) or "crumble" (drops soon after
+// you land). Both non-static kinds are one-way. Hazards have a kind too: "spike", "ceiling"
+// (hangs down over a platform), "bar" (pass under it grounded) or "saw" (runs along a track;
+// h.bounds is the whole track).
+//
+// params.pits turns on pit mode: some gaps have no ground and falling through one is fatal.
+// params.powerupT = seconds each power-up lasts once picked up.
+// params.gravityMul / hazardMul scale gravity and the hazard chance; params.noMagnet takes the
+// magnet out of the power-up pool (daily modifiers). params.scoreMul scales score gain.
+//
+// opts.speed starts the run at a fixed speed, opts.repair = false keeps unwinnable chunks
+// (run.unfair lists them either way) -- both only meant for tooling.
+
+import {
+  TAU, clamp, makeLCG, mixSeed, randomSeed, rngf, rngi, rect, centerx, centery, colliderect, collideVerticalSweep, collideHorizontal, overPit,
+} from "./util.js";
+import {
+  WIDTH, HEIGHT, GROUND_Y, JUMP_CUT_MULT, BASE_SPEED, MAX_SPEED, SPEED_RAMP, GRAVITY, SCORE_PER_PX, MAX_FALL_V, LAND_MIN_AIR_T,
+  BASE_JUMP_V, BASE_JUMP_BUF, ZONE_SCORE, ZONES,
+  MIN_GAP, MAX_GAP, PLATFORM_MIN_W, PLATFORM_MAX_W, PLATFORM_MIN_H, PLATFORM_MAX_H, HEIGHT_LEVELS,
+  MIN_REACTION_T, MAX_REACTION_T, MIN_HAZARD_SEP_T, HAZARD_CHANCE, COIN_CHANCE,
+  PIT_CHANCE, PIT_MAX_T, PIT_EDGE, PIT_SINK,
+  POWERUP_CHANCE, POWERUP_KINDS, POWERUP_SIZE, POWERUP_BASE_T, SLOWMO_SCALE, MAGNET_BOOST_PX,
+  CRUMBLE_MIN_SPEED, CRUMBLE_CHANCE, CRUMBLE_DELAY, MOVING_MIN_SPEED, MOVING_CHANCE, MOVING_AMP, MOVING_FREQ,
+  BAR_MIN_SPEED, BAR_H, BAR_CLEAR, BAR_MAX_DROP, CEILING_MIN_SPEED, CEILING_CLEAR, SAW_MIN_SPEED, SAW_R, SAW_TRACK, SAW_FREQ,
+  STEP_UP, WALL_KILL_SPEED, WALL_KNOCKBACK, WALL_SPEED_KEEP, WALL_COIN_COST,
+  PLAYER_X_OFFSET, PLAYER_W, PLAYER_H, BASE_PARAMS,
+} from "./constants.js";
+import { startFrontier, advanceFrontier } from "./fairness.js";
+
+// -------------------------
+// Run state
+// -------------------------
+export function createRun(params = BASE_PARAMS, seed = randomSeed(), opts = {}) {
+  const { jumpV, coyoteT, coinMul, magnetPx, pits, powerupT, gravityMul = 1, hazardMul = 1, noMagnet = false, scoreMul = 1 } = params;
+  const s = {
+    seed: seed >>> 0,
+    rng: makeLCG(mixSeed(seed)),
+    cam_x: 0.0,
+    speed: opts.speed ?? BASE_SPEED,
+    score: 0,
+    score_f: 0.0,
+    coins_run: 0,
+    ticks: 0,
+    time: 0.0,
+    world_t: 0.0,
+    zone: 0,
+    gravity_mul: gravityMul,
+    hazard_mul: hazardMul,
+    gravity: GRAVITY * ZONES[0].gravityMul * gravityMul,
+    dead: false,
+    death_cause: null,
+    pit_mode: !!pits,
+    falling: false,
+    player: rect(PLAYER_X_OFFSET, GROUND_Y - PLAYER_H, PLAYER_W, PLAYER_H),
+    py: (GROUND_Y - PLAYER_H),
+    vy: 0.0,
+    on_ground: true,
+    ground_plat: null,
+    coyote: 0.0,
+    jump_buf: 0.0,
+    jump_v: jumpV,
+    coyote_t: coyoteT,
+    coin_mul: coinMul,
+    score_mul: scoreMul,
+    magnet_px: magnetPx,
+    platforms: [],
+    hazards: [],
+    coins_list: [],
+    powerups: [],
+    pits: [],
+    powerup_t: { ...POWERUP_BASE_T, ...powerupT },
+    powerup_kinds: noMagnet ? POWERUP_KINDS.filter((k) => k !== "magnet") : POWERUP_KINDS,
+    effects: { shield: 0, double_jump: 0, slowmo: 0, magnet: 0 }, // seconds left
+    air_jumped: false,
+    events: [],
+    next_spawn_x: 0.0,
+    last_platform_top: GROUND_Y,
+    last_platform_end: 0,
+    last_hazard_x: -10_000_000,
+    jump_cut: false,
+    jump_time: 0.0,
+    reach: startFrontier(),
+    repair: opts.repair ?? true,
+    repairs: 0,
+    unfair: [],
+  };
+
+  const starter = { ...rect(0, GROUND_Y - 24, WIDTH + 1200, 24), kind: "static" };
+  s.platforms.push(starter);
+  s.next_spawn_x = starter.x + starter.w + 140;
+  s.last_platform_top = starter.y;
+  s.last_platform_end = starter.x + starter.w;
+
+  ensureGenerationAhead(s);
+  return s;
+}
+
+// -------------------------
+// Level generation
+// -------------------------
+export function ensureGenerationAhead(run) {
+  const camX = run.cam_x;
+  while (run.next_spawn_x < camX + WIDTH * 2.2) spawnChunk(run);
+}
+
+export function cleanupLists(run) {
+  const camX = run.cam_x;
+  const keep = (r) => (r.x + r.w) >= (camX - 280);
+  run.platforms = run.platforms.filter(keep);
+  run.hazards = run.hazards.filter(keep);
+  run.coins_list = run.coins_list.filter(keep);
+  run.pits = run.pits.filter(keep);
+  run.powerups = run.powerups.filter(keep);
+}
+
+export function spawnChunk(run) {
+  const camX = run.cam_x;
+  const speed = run.speed;
+  const x = run.next_spawn_x;
+  const rng = run.rng;
+
+  const w = rngi(rng, PLATFORM_MIN_W, PLATFORM_MAX_W);
+  const h = rngi(rng, PLATFORM_MIN_H, PLATFORM_MAX_H);
+
+  const prevTop = run.last_platform_top;
+
+  const prevLevel = HEIGHT_LEVELS.reduce((best, lvl) => {
+    const candTop = (GROUND_Y - 24) - lvl;
+    const bestTop = (GROUND_Y - 24) - best;
+    return Math.abs(candTop - prevTop) < Math.abs(bestTop - prevTop) ? lvl : best;
+  }, HEIGHT_LEVELS[0]);
+
+  const candidates = HEIGHT_LEVELS.slice();
+  const extra = speed > 520 ? 3 : 2;
+  for (let i = 0; i < extra; i++) candidates.push(prevLevel);
+
+  const lvl = candidates[rngi(rng, 0, candidates.length - 1)];
+  let topY = (GROUND_Y - 24) - lvl;
+
+  const maxStep = speed < 520 ? 170 : 125;
+  if (Math.abs(topY - prevTop) > maxStep) topY = topY > prevTop ? prevTop + maxStep : prevTop - maxStep;
+
+  const platform = { ...rect(Math.floor(x), Math.floor(topY), Math.floor(w), Math.floor(h)), kind: "static" };
+  run.platforms.push(platform);
+
+  // moving / crumbling platforms (raised ones only, so they never bob into the ground)
+  if (speed >= CRUMBLE_MIN_SPEED && rng() < CRUMBLE_CHANCE) {
+    platform.kind = "crumble";
+    platform.oneWay = true;
+    platform.crumble_t = -1; // counting down once stood on
+    platform.fall_vy = 0.0;
+  } else if (lvl > 0 && speed >= MOVING_MIN_SPEED && rng() < MOVING_CHANCE) {
+    platform.kind = "moving";
+    platform.oneWay = true;
+    platform.baseY = platform.y;
+    platform.amp = Math.min(rngi(rng, MOVING_AMP[0], MOVING_AMP[1]), lvl - 20);
+    platform.freq = rngf(rng, MOVING_FREQ[0], MOVING_FREQ[1]);
+    platform.phase = rngf(rng, 0, TAU);
+    platform.dy = 0.0;
+  }
+
+  const chunk = {
+    platform, hazardsBefore: run.hazards.length, pitsBefore: run.pits.length, coinsBefore: run.coins_list.length,
+    lastHazardBefore: run.last_hazard_x,
+  };
+
+  const zone = ZONES[zoneAt(x)];
+  let hazChance = Math.min(0.9, HAZARD_CHANCE * zone.hazardMul * run.hazard_mul);
+  if (speed > 650) hazChance *= 0.78;
+  const minSepPx = Math.floor(speed * MIN_HAZARD_SEP_T);
+
+  // pit in the gap leading up to this platform; same off-screen + separation rules as spikes
+  if (run.pit_mode && rng() < PIT_CHANCE) {
+    const gapL = run.last_platform_end + PIT_EDGE;
+    const gapR = platform.x - PIT_EDGE;
+    const pw = Math.min(gapR - gapL, Math.floor(speed * PIT_MAX_T));
+    const px = Math.floor(gapL + (gapR - gapL - pw) / 2);
+    if (pw >= PLAYER_W * 2 && px >= camX + WIDTH + 70 && px - run.last_hazard_x >= minSepPx) {
+      run.pits.push(rect(px, GROUND_Y, pw, HEIGHT - GROUND_Y));
+      run.last_hazard_x = px + pw;
+    }
+  }
+
+  if (platform.kind === "static" && rng() < hazChance) {
+    const hzW = rngi(rng, 30, 68);
+    const hzH = rngi(rng, 32, 62);
+
+    const reactionPxMin = Math.floor(speed * MIN_REACTION_T);
+    const reactionPxMax = Math.floor(speed * MAX_REACTION_T);
+
+    let hx = rngi(rng, Math.floor(x - reactionPxMax), Math.floor(x - reactionPxMin));
+    hx = Math.max(Math.floor(camX + WIDTH + 70), hx);
+
+    if (hx - run.last_hazard_x < minSepPx) hx = run.last_hazard_x + minSepPx;
+    run.last_hazard_x = hx;
+
+    run.hazards.push(makeHazard(run, platform, hx, hzW, hzH, speed, zone));
+  }
+
+  if (rng() < COIN_CHANCE * zone.coinMul) {
+    const n = rngi(rng, 3, 7);
+    const baseX = platform.x + rngi(rng, 20, Math.max(20, platform.w - 20));
+    const baseY = platform.y - 54;
+    const arc = rng() < 0.55;
+
+    for (let i = 0; i < n; i++) {
+      const cx = baseX + i * 34;
+      const cy = arc ? baseY - Math.floor(18 * Math.sin((i / Math.max(1, n - 1)) * Math.PI)) : baseY;
+      run.coins_list.push(rect(Math.floor(cx), Math.floor(cy), 18, 18));
+    }
+  }
+
+  // power-up, floating a short hop above the platform
+  if (rng() < POWERUP_CHANCE) {
+    const kind = run.powerup_kinds[rngi(rng, 0, run.powerup_kinds.length - 1)];
+    const ux = platform.x + Math.floor((platform.w - POWERUP_SIZE) / 2);
+    run.powerups.push({ ...rect(ux, platform.y - 110, POWERUP_SIZE, POWERUP_SIZE), kind });
+  }
+
+  checkChunkFair(run, chunk);
+
+  run.next_spawn_x = platform.x + platform.w + rngi(rng, MIN_GAP, MAX_GAP);
+  run.last_platform_top = platform.y;
+  run.last_platform_end = platform.x + platform.w;
+}
+
+// Index into ZONES for world x (the zone boundaries sit every ZONE_SCORE points of distance).
+export function zoneAt(x) {
+  return Math.floor(Math.max(0, x) * SCORE_PER_PX / ZONE_SCORE) % ZONES.length;
+}
+
+// Builds one hazard at about world x hx on platform; which kinds can show up depends on speed
+// and the zone.
+function makeHazard(run, platform, hx, hzW, hzH, speed, zone) {
+  const rng = run.rng;
+  const kinds = ["spike"];
+  // a bar sits at the near edge, right where you'd fall onto a platform from well above
+  if (speed >= BAR_MIN_SPEED && platform.y - run.last_platform_top < BAR_MAX_DROP) kinds.push("bar");
+  if (speed >= CEILING_MIN_SPEED) kinds.push("ceiling");
+  if (speed >= SAW_MIN_SPEED) kinds.push("saw");
+  for (let i = kinds.length - 1; i > 0; i--) if (!zone.hazards.includes(kinds[i])) kinds.splice(i, 1);
+  const kind = kinds[rngi(rng, 0, kinds.length - 1)];
+  const fit = (w) => Math.floor(clamp(hx, platform.x, platform.x + platform.w - w));
+
+  if (kind === "bar") {
+    const bw = Math.min(hzW * 2, platform.w);
+    return { ...rect(fit(bw), platform.y - PLAYER_H - BAR_CLEAR - BAR_H, bw, BAR_H), kind };
+  }
+  if (kind === "ceiling") {
+    const ch = Math.floor(hzH * 0.8);
+    return { ...rect(fit(hzW), platform.y - CEILING_CLEAR - ch, hzW, ch), kind };
+  }
+  if (kind === "saw") {
+    const track = Math.min(rngi(rng, SAW_TRACK[0], SAW_TRACK[1]), platform.w - SAW_R * 2);
+    const x0 = fit(track + SAW_R * 2) + SAW_R;
+    const cy = platform.y - SAW_R + 8; // sunk a little into its track
+    const saw = {
+      ...rect(x0 - SAW_R, cy - SAW_R, SAW_R * 2, SAW_R * 2),
+      kind, x0, track, cy,
+      freq: rngf(rng, SAW_FREQ[0], SAW_FREQ[1]),
+      phase: rngf(rng, 0, TAU),
+      bounds: rect(x0 - SAW_R, cy - SAW_R, track + SAW_R * 2, SAW_R * 2),
+    };
+    return saw;
+  }
+  const spikeBottom = platform.y + 2;
+  return { ...rect(fit(hzW), Math.floor(spikeBottom - hzH), Math.floor(hzW), Math.floor(hzH)), kind };
+}
+
+// Moving platforms, crumbling platforms and saws, advanced by (slow-mo scaled) dt.
+function updateObstacles(run, dt) {
+  run.world_t += dt;
+  const t = run.world_t;
+
+  for (const p of run.platforms) {
+    if (p.kind === "moving") {
+      const y = p.baseY + p.amp * Math.sin(t * p.freq + p.phase);
+      p.dy = y - p.y;
+      p.y = y;
+    } else if (p.kind === "crumble" && p.crumble_t >= 0) {
+      if (p.crumble_t > 0) {
+        p.crumble_t = Math.max(0, p.crumble_t - dt);
+      } else {
+        p.fall_vy = Math.min(MAX_FALL_V, p.fall_vy + GRAVITY * dt);
+        p.y += p.fall_vy * dt;
+      }
+    }
+  }
+  run.platforms = run.platforms.filter((p) => p.y < HEIGHT + 40);
+
+  for (const h of run.hazards) {
+    if (h.kind !== "saw") continue;
+    const cx = h.x0 + h.track * (0.5 - 0.5 * Math.cos(t * h.freq + h.phase));
+    h.x = cx - SAW_R;
+  }
+}
+
+// Carries run.reach through the new chunk (the gap before the platform + the platform). If
+// nothing survives, the chunk is logged and repaired one step at a time: drop its spike, then
+// its pit, then bring the platform down to a step you can walk onto. The log entry says whether
+// the repairs got it through. Whatever is dropped stops counting for hazard spacing too.
+function checkChunkFair(run, chunk) {
+  const { platform, hazardsBefore, pitsBefore, coinsBefore, lastHazardBefore } = chunk;
+  const end = platform.x + platform.w;
+  // the player gets here later (and faster) than now
+  const ahead = Math.max(0, platform.x - run.cam_x - PLAYER_X_OFFSET);
+  const speed = Math.min(MAX_SPEED, run.speed + SPEED_RAMP * (ahead / run.speed));
+  const gravity = GRAVITY * ZONES[zoneAt(platform.x)].gravityMul * run.gravity_mul;
+  const advance = () => advanceFrontier(run.reach, end, speed, run, BASE_JUMP_V, gravity);
+
+  let next = advance();
+  if (!next.states.length) {
+    const unfair = { x: platform.x, speed: Math.round(speed), repaired: false };
+    run.unfair.push(unfair);
+    if (run.repair && run.hazards.length > hazardsBefore) {
+      run.hazards.length = hazardsBefore;
+      const pit = run.pits.length > pitsBefore ? run.pits.at(-1) : null;
+      run.last_hazard_x = pit ? pit.x + pit.w : lastHazardBefore;
+      run.repairs += 1;
+      next = advance();
+    }
+    if (run.repair && !next.states.length && run.pits.length > pitsBefore) {
+      run.pits.length = pitsBefore;
+      run.last_hazard_x = lastHazardBefore;
+      next = advance();
+    }
+    const lowTop = GROUND_Y - 24;
+    if (run.repair && !next.states.length && !platform.oneWay && platform.y < lowTop) {
+      const dy = lowTop - platform.y;
+      platform.y += dy;
+      for (let i = coinsBefore; i < run.coins_list.length; i++) run.coins_list[i].y += dy;
+      for (const u of run.powerups) if (u.x >= platform.x && u.x < end) u.y += dy;
+      next = advance();
+    }
+    unfair.repaired = next.states.length > 0;
+  }
+  // still stuck (repair off, or it didn't help): restart the search on the ground so later chunks are judged on their own
+  run.reach = next.states.length ? next : startFrontier(end);
+}
+
+// -------------------------
+// Step
+// -------------------------
+// Advances the run by dt. input = { pressed, held, released } jump edges for this step.
+// Whatever happened is left in run.events for the caller (sound, particles, payout).
+export function step(run, input, dt) {
+  run.events.length = 0;
+  if (run.dead) return;
+
+  run.ticks += 1;
+  run.time += dt;
+
+  // power-up timers count real time; slow-mo then scales everything else
+  for (const k of POWERUP_KINDS) run.effects[k] = Math.max(0, run.effects[k] - dt);
+  if (run.effects.slowmo > 0) dt *= SLOWMO_SCALE;
+
+  updateObstacles(run, dt);
+
+  run.speed = clamp(run.speed + SPEED_RAMP * dt, BASE_SPEED, MAX_SPEED);
+  run.score_f += run.speed * dt * SCORE_PER_PX * run.score_mul;
+  run.score = Math.floor(run.score_f);
+
+  if (input.pressed) run.jump_buf = BASE_JUMP_BUF;
+  else run.jump_buf = Math.max(0.0, run.jump_buf - dt);
+
+  // ride whatever is underneath (moving platforms); a dropped platform falls out from under you
+  const under = run.ground_plat;
+  if (run.on_ground && under) {
+    if (under.kind === "moving") {
+      run.py += under.dy;
+      run.player.y = Math.floor(run.py);
+    } else if (under.kind === "crumble" && under.crumble_t < 0) {
+      under.crumble_t = CRUMBLE_DELAY;
+      run.events.push({ type: "crumble", x: centerx(under), y: under.y });
+    }
+  }
+
+  if (run.on_ground) {
+    run.coyote = run.coyote_t;
+    run.jump_cut = false;
+    run.air_jumped = false;
+  } else {
+    run.coyote = Math.max(0.0, run.coyote - dt);
+  }
+
+  if (!run.on_ground) run.jump_time += dt;
+  else run.jump_time = 0.0;
+
+  // apply buffered jump
+  if (run.jump_buf > 0.0 && run.coyote > 0.0) {
+    run.vy = -run.jump_v;
+    run.on_ground = false;
+    run.coyote = 0.0;
+    run.jump_buf = 0.0;
+    run.jump_cut = false;
+    run.jump_time = 0.0;
+    run.events.push({ type: "jump" });
+  } else if (run.jump_buf > 0.0 && !run.on_ground && run.effects.double_jump > 0 && !run.air_jumped) {
+    run.vy = -run.jump_v;
+    run.jump_buf = 0.0;
+    run.jump_cut = false;
+    run.jump_time = 0.0;
+    run.air_jumped = true;
+    run.events.push({ type: "jump", air: true });
+  }
+
+  run.vy = clamp(run.vy + run.gravity * dt, -5000.0, MAX_FALL_V);
+
+  // jump cut
+  if (input.released && (!run.on_ground) && (!run.jump_cut) && (run.vy < 0)) {
+    run.vy *= JUMP_CUT_MULT;
+    run.jump_cut = true;
+    run.events.push({ type: "cut" });
+  }
+
+  // player x fixed relative to cam
+  const player = run.player;
+  const prevX = player.x;
+  player.x = Math.floor(run.cam_x + PLAYER_X_OFFSET);
+
+  // platform sides: climb small lips, bounce off (or die on) walls
+  const side = collideHorizontal(player, prevX, run.platforms, STEP_UP);
+  if (side && side.stepped) {
+    run.py = player.y;
+  } else if (side && side.wall) {
+    if (run.speed >= WALL_KILL_SPEED) {
+      kill(run, "wall");
+      return;
+    }
+    const lost = Math.ceil(run.coins_run * WALL_COIN_COST);
+    run.coins_run -= lost;
+    run.speed = Math.max(BASE_SPEED, run.speed * WALL_SPEED_KEEP);
+    run.cam_x = side.wall.x - player.w - PLAYER_X_OFFSET - WALL_KNOCKBACK;
+    player.x = Math.floor(run.cam_x + PLAYER_X_OFFSET);
+    run.events.push({ type: "wall", lost, x: side.wall.x, y: centery(player) });
+  }
+
+  const dy = run.vy * dt;
+  const landed = !run.on_ground && run.jump_time >= LAND_MIN_AIR_T;
+  run.on_ground = false;
+  run.ground_plat = null;
+
+  const sweep = collideVerticalSweep(player, run.py, dy, run.platforms);
+  run.py = sweep.pyFloat;
+
+  // ground collision (none over a pit; sink into one and there's no way back up)
+  const inPit = run.pits.length > 0 && overPit(player, run.pits);
+  if (inPit && player.y + player.h > GROUND_Y + PIT_SINK) run.falling = true;
+
+  if (!inPit && !run.falling && player.y + player.h >= GROUND_Y) {
+    if (run.vy > 0) {
+      player.y = GROUND_Y - player.h;
+      run.py = player.y;
+      run.vy = 0.0;
+      run.on_ground = true;
+      if (landed) run.events.push({ type: "land", ground: true, x: centerx(player), y: player.y + player.h });
+    }
+  } else if (sweep.landed) {
+    run.vy = 0.0;
+    run.on_ground = true;
+    run.ground_plat = sweep.platform;
+    if (landed) run.events.push({ type: "land", ground: false, x: centerx(player), y: player.y + player.h });
+  }
+
+  run.cam_x += run.speed * dt;
+
+  const zone = zoneAt(run.cam_x + PLAYER_X_OFFSET);
+  if (zone !== run.zone) {
+    run.zone = zone;
+    run.gravity = GRAVITY * ZONES[zone].gravityMul * run.gravity_mul;
+    run.events.push({ type: "zone", zone });
+  }
+  ensureGenerationAhead(run);
+  cleanupLists(run);
+
+  // magnet pull (coin positions are kept as floats: at the fixed step most pulls are under a px)
+  const magnetPx = run.magnet_px + (run.effects.magnet > 0 ? MAGNET_BOOST_PX : 0);
+  if (magnetPx > 0) {
+    for (const c of run.coins_list) {
+      const dx = (centerx(player) - centerx(c));
+      const dyc = (centery(player) - centery(c));
+      const dist = Math.hypot(dx, dyc);
+      if (0.1 < dist && dist < magnetPx) {
+        const pull = (magnetPx - dist) / magnetPx;
+        c.x += dx * pull * dt * 2.8;
+        c.y += dyc * pull * dt * 2.8;
+      }
+    }
+  }
+
+  // coin collect
+  const collected = [];
+  for (let i = 0; i < run.coins_list.length; i++) {
+    const c = run.coins_list[i];
+    if (colliderect(player, c)) {
+      collected.push(i);
+      run.coins_run += 1;
+      run.events.push({ type: "coin", x: centerx(c), y: centery(c) });
+    }
+  }
+  if (collected.length) {
+    const dead = new Set(collected);
+    run.coins_list = run.coins_list.filter((_, i) => !dead.has(i));
+  }
+
+  // power-up pickup
+  for (let i = run.powerups.length - 1; i >= 0; i--) {
+    const u = run.powerups[i];
+    if (!colliderect(player, u)) continue;
+    run.powerups.splice(i, 1);
+    run.effects[u.kind] = run.powerup_t[u.kind];
+    run.events.push({ type: "powerup", kind: u.kind, x: centerx(u), y: centery(u) });
+  }
+
+  // hazard collide (a shield eats one spike)
+  for (let i = 0; i < run.hazards.length; i++) {
+    const h = run.hazards[i];
+    if (!colliderect(player, h)) continue;
+    if (run.effects.shield > 0) {
+      run.effects.shield = 0;
+      run.hazards.splice(i, 1);
+      run.events.push({ type: "shield", x: centerx(h), y: centery(h) });
+      break;
+    }
+    kill(run, h.kind);
+    return;
+  }
+
+  if (run.falling && player.y > HEIGHT) kill(run, "pit");
+}
+
+function kill(run, cause) {
+  run.dead = true;
+  run.death_cause = cause;
+  run.events.push({ type: "dead", cause, x: centerx(run.player), y: centery(run.player) });
+}
@@ -0,0 +1,140 @@
+// src/util.js
+// Math, seeded RNG and rect helpers shared by the simulation and the renderer.
+// Nothing in here may touch the DOM.
+
+export const TAU = Math.PI * 2;
+
+export const clamp = (v, a, b) => (v < a ? a : v > b ? b : v);
+export const lerp = (a, b, t) => a + (b - a) * t;
+export const smoothstep = (t) => t * t * (3 - 2 * t);
+export const randf = (a, b) => a + Math.random() * (b - a);
+export const randi = (a, b) => a + Math.floor(Math.random() * (b - a + 1));
+
+// p-th percentile (0..100) of values, nearest rank
+export function percentile(values, p) {
+  if (!values.length) return 0;
+  const sorted = values.slice().sort((a, b) => a - b);
+  return sorted[clamp(Math.ceil((p / 100) * sorted.length) - 1, 0, sorted.length - 1)];
+}
+
+export function makeLCG(seed = 1) {
+  let s = seed >>> 0;
+  return () => {
+    s = (1664525 * s + 1013904223) >>> 0;
+    return s / 0x100000000;
+  };
+}
+
+// seeded variants of randf/randi (rng = a makeLCG() stream)
+export const rngf = (rng, a, b) => a + rng() * (b - a);
+export const rngi = (rng, a, b) => a + Math.floor(rng() * (b - a + 1));
+
+// -------------------------
+// Run seeds (shareable, replayable layouts)
+// -------------------------
+export const randomSeed = () => Math.floor(Math.random() * 0x100000000) >>> 0;
+
+// scramble the seed so nearby seeds (1, 2, 3...) don't give near-identical LCG streams
+export function mixSeed(seed) {
+  let h = seed >>> 0;
+  h = Math.imul(h ^ (h >>> 16), 0x85ebca6b) >>> 0;
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35) >>> 0;
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+// 32-bit FNV-1a of a string's char codes
+export function fnv1a(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h >>> 0;
+}
+
+// digits are used as-is, anything else ("banana") is hashed
+export function parseSeed(str) {
+  const t = String(str ?? "").trim();
+  if (!t) return null;
+  if (/^\d+$/.test(t)) return Number(t) >>> 0;
+  return fnv1a(t);
+}
+
+// -------------------------
+// Rect helpers
+// -------------------------
+export const rect = (x, y, w, h) => ({ x, y, w, h });
+export const copyRect = (r) => ({ x: r.x, y: r.y, w: r.w, h: r.h });
+export const centerx = (r) => r.x + r.w / 2;
+export const centery = (r) => r.y + r.h / 2;
+
+export function colliderect(a, b) {
+  return (a.x < b.x + b.w && a.x + a.w > b.x && a.y < b.y + b.h && a.y + a.h > b.y);
+}
+
+// true when r is entirely above missing ground (touching a pit edge still holds you up)
+export function overPit(r, pits) {
+  for (const p of pits) if (r.x >= p.x && r.x + r.w <= p.x + p.w) return true;
+  return false;
+}
+
+// -------------------------
+// Collision: horizontal (platform sides)
+// -------------------------
+// player just moved right from prevX. A side it ran into that's at most stepUp px above its
+// feet is climbed (player.y moves onto it); anything taller is a wall and the player is put
+// flush against it. Returns null, { stepped: true } or { wall: platform }.
+// One-way platforms (p.oneWay) have no sides.
+export function collideHorizontal(player, prevX, platforms, stepUp) {
+  if (player.x <= prevX) return null;
+  for (const p of platforms) {
+    if (p.oneWay) continue;
+    const entered = prevX + player.w <= p.x && player.x + player.w > p.x;
+    if (!entered || player.y + player.h <= p.y || player.y >= p.y + p.h) continue;
+
+    if (player.y + player.h - p.y <= stepUp) {
+      player.y = p.y - player.h;
+      return { stepped: true, wall: null };
+    }
+    player.x = p.x - player.w;
+    return { stepped: false, wall: p };
+  }
+  return null;
+}
+
+// -------------------------
+// Collision: vertical sweep
+// -------------------------
+// landing reports the platform stood on; one-way platforms can be jumped up through
+export function collideVerticalSweep(player, pyFloat, dy, platforms) {
+  if (dy === 0) return { pyFloat, landed: false, bumped: false };
+
+  const steps = Math.floor(Math.abs(dy) / 6) + 1;
+  const step = dy / steps;
+
+  for (let s = 0; s < steps; s++) {
+    const prevTop = player.y;
+    const prevBottom = player.y + player.h;
+
+    pyFloat += step;
+    player.y = Math.floor(pyFloat);
+
+    if (step > 0) {
+      for (const p of platforms) {
+        if (colliderect(player, p) && prevBottom <= p.y) {
+          player.y = p.y - player.h;
+          return { pyFloat: player.y, landed: true, bumped: false, platform: p };
+        }
+      }
+    } else {
+      for (const p of platforms) {
+        if (!p.oneWay && colliderect(player, p) && prevTop >= p.y + p.h) {
+          player.y = p.y + p.h;
+          return { pyFloat: player.y, landed: false, bumped: true };
+        }
+      }
+    }
+  }
+
+  return { pyFloat, landed: false, bumped: false };
+}
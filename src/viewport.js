@@ -0,0 +1,39 @@
+// src/viewport.js
+// Fits the game view into the window: how many screen pixels a game pixel takes and, with the
+// wide layout, how much more world than GAME_W is shown on screens wider than 16:9. Everything
+// is in CSS pixels except where noted. DOM-free; main.js measures the window and its safe-area
+// insets and does the drawing.
+
+import { GAME_W, GAME_H, MAX_VIEW_W } from "./constants.js";
+import { clamp } from "./util.js";
+
+// "smooth" fills as much of the window as fits; "integer" rounds down to whole device pixels
+// per game pixel, so nothing is resampled (until the window is too small for even one)
+export const SCALE_MODES = { smooth: "Smooth", integer: "Integer" };
+
+function fitScale(fit, dpr, mode) {
+  if (mode !== "integer" || fit * dpr < 1) return fit;
+  return Math.floor(fit * dpr) / dpr;
+}
+
+// The view inside the window less its safe-area insets ({ left, top, right, bottom }):
+// { scale, w, x, y } = CSS px per game px, the view's width in game px (GAME_H is its height)
+// and its top-left corner. wide lets w grow past GAME_W (up to MAX_VIEW_W) to fill the width.
+export function fitView(winW, winH, dpr, safe, mode, wide) {
+  const areaW = Math.max(1, winW - safe.left - safe.right);
+  const areaH = Math.max(1, winH - safe.top - safe.bottom);
+  const scale = fitScale(Math.min(areaW / GAME_W, areaH / GAME_H), dpr, mode);
+  const w = wide ? clamp(Math.floor(areaW / scale), GAME_W, MAX_VIEW_W) : GAME_W;
+  return {
+    scale,
+    w,
+    x: Math.floor(safe.left + (areaW - w * scale) / 2),
+    y: Math.floor(safe.top + (areaH - GAME_H * scale) / 2),
+  };
+}
+
+// window (client) position -> game px in the view
+export const toView = (view, clientX, clientY) => ({
+  gx: (clientX - view.x) / view.scale,
+  gy: (clientY - view.y) / view.scale,
+});
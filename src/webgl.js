@@ -0,0 +1,246 @@
+// src/webgl.js
+// WebGL renderer backend. Two GL canvases sandwich the 2D one: the sky and parallax are drawn
+// by a fragment shader on the canvas underneath (so they stay sharp at any size), and bloom
+// lights are added up on the canvas above, which the page screen-blends over the game.
+// Works on the canvases it is handed (main.js creates and stacks them) and throws when WebGL
+// or a shader isn't available, so the caller can fall back to Canvas2D.
+
+import { GAME_W, GAME_H, MAX_VIEW_W } from "./constants.js";
+
+const BLOB_P = MAX_VIEW_W + 300;      // blob rows repeat every this many px, as in main.js
+const GLOW_MAX = 256;                 // lights per frame; more are dropped
+const GLOW_FLOATS = 6 * 9;            // 6 vertices of corner(2) center(2) radius(1) color+strength(4)
+
+// u_view_w: the view's width in game px (GAME_H is its height)
+const QUAD_VS = `
+attribute vec2 a_pos;
+uniform float u_view_w;
+varying vec2 v_game;
+void main() {
+  v_game = vec2((a_pos.x + 1.0) * 0.5 * u_view_w, (1.0 - a_pos.y) * 0.5 * ${GAME_H.toFixed(1)});
+  gl_Position = vec4(a_pos, 0.0, 1.0);
+}`;
+
+// Same layers as the Canvas2D parallax: tinted sky, a top-to-bottom shade, twinkling stars, then
+// far and near rows of blobs that wrap every BLOB_P px. Stars come from a hashed grid instead of
+// a fixed list. u_off is each layer's scroll, already wrapped to its period on the CPU.
+const SKY_FS = `
+#ifdef GL_FRAGMENT_PRECISION_HIGH
+precision highp float;
+#else
+precision mediump float;
+#endif
+varying vec2 v_game;
+uniform vec3 u_bg, u_star, u_far, u_near;
+uniform vec4 u_tint;
+uniform vec3 u_off;
+uniform float u_time, u_aa;
+const float W = ${GAME_W.toFixed(1)}, H = ${GAME_H.toFixed(1)};
+const float BLOB_P = ${BLOB_P.toFixed(1)}, STAR_P = W * 3.0, CELL = 48.0;
+
+float hash(vec2 p) { return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453); }
+
+float blobs(vec2 p, float off, float n, float spacing, float y, float r) {
+  float x = mod(p.x + off + 130.0, BLOB_P);
+  float d = 1e5;
+  for (int i = 0; i < 10; i++) {
+    if (float(i) >= n) break;
+    float dx = abs(x - mod(float(i) * spacing, BLOB_P));
+    dx = min(dx, BLOB_P - dx);
+    d = min(d, length(vec2(dx, p.y - y)) - r);
+  }
+  return 1.0 - smoothstep(-u_aa, u_aa, d);
+}
+
+// coverage of the star in p's cell; tw its twinkle
+float stars(vec2 p, out float tw) {
+  tw = 0.0;
+  if (p.y < 24.0 || p.y > 30.0 + H * 0.5) return 0.0;
+  vec2 q = vec2(mod(p.x + u_off.x, STAR_P), p.y);
+  vec2 cell = floor(q / CELL);
+  float h = hash(cell);
+  if (h > 0.3) return 0.0;
+  vec2 at = cell * CELL + 8.0 + (CELL - 16.0) * vec2(hash(cell + 1.7), hash(cell + 4.3));
+  tw = (170.0 + 60.0 * sin(u_time * 2.1 + h * 60.0)) / 255.0;
+  return 1.0 - smoothstep(1.0 - u_aa, 1.0 + u_aa, length(q - at));
+}
+
+void main() {
+  vec3 col = mix(u_bg, u_tint.rgb, u_tint.a);
+  float g = v_game.y / H;
+  col = mix(col, mix(vec3(1.0), vec3(0.0), g), mix(0.05, 0.18, g));
+  float tw;
+  float s = stars(v_game, tw);
+  col = mix(col, u_star * tw, s);
+  col = mix(col, u_far, blobs(v_game, u_off.y, 8.0, 220.0, H - 220.0, 160.0));
+  col = mix(col, u_near, blobs(v_game, u_off.z, 10.0, 190.0, H - 160.0, 130.0));
+  gl_FragColor = vec4(col, 1.0);
+}`;
+
+const GLOW_VS = `
+attribute vec2 a_corner;
+attribute vec2 a_center;
+attribute float a_radius;
+attribute vec4 a_color;
+uniform float u_view_w;
+varying vec2 v_corner;
+varying vec4 v_color;
+void main() {
+  vec2 p = a_center + a_corner * a_radius;
+  v_corner = a_corner;
+  v_color = a_color;
+  gl_Position = vec4(p.x / u_view_w * 2.0 - 1.0, 1.0 - p.y / ${GAME_H.toFixed(1)} * 2.0, 0.0, 1.0);
+}`;
+
+// gaussian falloff, premultiplied, added up
+const GLOW_FS = `
+precision mediump float;
+varying vec2 v_corner;
+varying vec4 v_color;
+void main() {
+  float a = exp(-4.0 * dot(v_corner, v_corner)) * v_color.a;
+  gl_FragColor = vec4(v_color.rgb * a, a);
+}`;
+
+function compile(gl, vsSrc, fsSrc) {
+  const shader = (type, src) => {
+    const sh = gl.createShader(type);
+    gl.shaderSource(sh, src);
+    gl.compileShader(sh);
+    if (!gl.getShaderParameter(sh, gl.COMPILE_STATUS)) throw new Error(`shader: ${gl.getShaderInfoLog(sh)}`);
+    return sh;
+  };
+  const prog = gl.createProgram();
+  gl.attachShader(prog, shader(gl.VERTEX_SHADER, vsSrc));
+  gl.attachShader(prog, shader(gl.FRAGMENT_SHADER, fsSrc));
+  gl.linkProgram(prog);
+  if (!gl.getProgramParameter(prog, gl.LINK_STATUS)) throw new Error(`program: ${gl.getProgramInfoLog(prog)}`);
+  const loc = {};
+  const n = gl.getProgramParameter(prog, gl.ACTIVE_UNIFORMS);
+  for (let i = 0; i < n; i++) { const u = gl.getActiveUniform(prog, i); loc[u.name] = gl.getUniformLocation(prog, u.name); }
+  const na = gl.getProgramParameter(prog, gl.ACTIVE_ATTRIBUTES);
+  for (let i = 0; i < na; i++) { const a = gl.getActiveAttrib(prog, i); loc[a.name] = gl.getAttribLocation(prog, a.name); }
+  return { prog, loc };
+}
+
+function context(canvas, alpha) {
+  const opts = { alpha, antialias: false, depth: false, stencil: false, premultipliedAlpha: true, failIfMajorPerformanceCaveat: true };
+  const gl = canvas.getContext("webgl", opts) || canvas.getContext("experimental-webgl", opts);
+  if (!gl) throw new Error("no WebGL context");
+  return gl;
+}
+
+export function createWebGLRenderer(bgCanvas, fxCanvas) {
+  const bg = context(bgCanvas, false);
+  const fx = context(fxCanvas, true);
+  const sky = compile(bg, QUAD_VS, SKY_FS);
+  const glow = compile(fx, GLOW_VS, GLOW_FS);
+
+  const quad = bg.createBuffer();
+  bg.bindBuffer(bg.ARRAY_BUFFER, quad);
+  bg.bufferData(bg.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, -1, 1, 1, -1, 1, 1]), bg.STATIC_DRAW);
+
+  const glowData = new Float32Array(GLOW_MAX * GLOW_FLOATS);
+  const glowBuf = fx.createBuffer();
+  fx.bindBuffer(fx.ARRAY_BUFFER, glowBuf);
+  fx.bufferData(fx.ARRAY_BUFFER, glowData.byteLength, fx.DYNAMIC_DRAW);
+  let glows = 0;
+
+  // device-pixel rect of the view (GL origin is bottom-left), its width in game px and game px
+  // per device px
+  let vp = [0, 0, 1, 1], viewW = GAME_W, aa = 1;
+  const r = { lost: false };
+
+  // window size (CSS px), device pixel ratio, the view's corner (CSS px), CSS px per game px and
+  // the view's width in game px
+  r.resize = (winW, winH, dpr, viewX, viewY, scale, w) => {
+    for (const c of [bgCanvas, fxCanvas]) {
+      c.width = Math.floor(winW * dpr);
+      c.height = Math.floor(winH * dpr);
+      c.style.width = `${winW}px`;
+      c.style.height = `${winH}px`;
+    }
+    const h = GAME_H * scale * dpr;
+    viewW = w;
+    vp = [Math.round(viewX * dpr), Math.round(bgCanvas.height - viewY * dpr - h), Math.round(w * scale * dpr), Math.round(h)];
+    aa = 1 / (scale * dpr);
+  };
+
+  // pal: { tint: [r, g, b, a], star, far, near } colors 0..255, bgColor the sky cosmetic
+  r.background = (camX, t, pal, bgColor) => {
+    const gl = bg, L = sky.loc;
+    const c3 = (name, c) => gl.uniform3f(L[name], c[0] / 255, c[1] / 255, c[2] / 255);
+    gl.viewport(0, 0, bgCanvas.width, bgCanvas.height);
+    gl.clearColor(0, 0, 0, 1);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    gl.viewport(...vp);
+    gl.useProgram(sky.prog);
+    c3("u_bg", bgColor);
+    c3("u_star", pal.star);
+    c3("u_far", pal.far);
+    c3("u_near", pal.near);
+    gl.uniform4f(L.u_tint, pal.tint[0] / 255, pal.tint[1] / 255, pal.tint[2] / 255, pal.tint[3]);
+    const wrap = (v, p) => ((v % p) + p) % p;
+    gl.uniform3f(L.u_off, wrap(camX * 0.18, GAME_W * 3), wrap(camX * 0.28, BLOB_P), wrap(camX * 0.45, BLOB_P));
+    gl.uniform1f(L.u_time, t % 3600);
+    gl.uniform1f(L.u_aa, aa);
+    gl.uniform1f(L.u_view_w, viewW);
+    gl.bindBuffer(gl.ARRAY_BUFFER, quad);
+    gl.enableVertexAttribArray(L.a_pos);
+    gl.vertexAttribPointer(L.a_pos, 2, gl.FLOAT, false, 0, 0);
+    gl.drawArrays(gl.TRIANGLES, 0, 6);
+  };
+
+  // a light of radius r (game px) at x, y; strength 0..1
+  r.glow = (x, y, rad, col, strength) => {
+    if (glows >= GLOW_MAX) return;
+    const corners = [-1, -1, 1, -1, -1, 1, -1, 1, 1, -1, 1, 1];
+    let o = glows++ * GLOW_FLOATS;
+    for (let v = 0; v < 6; v++) {
+      glowData[o++] = corners[v * 2];
+      glowData[o++] = corners[v * 2 + 1];
+      glowData[o++] = x;
+      glowData[o++] = y;
+      glowData[o++] = rad;
+      glowData[o++] = col[0] / 255;
+      glowData[o++] = col[1] / 255;
+      glowData[o++] = col[2] / 255;
+      glowData[o++] = strength;
+    }
+  };
+
+  // draws this frame's lights (clearing last frame's)
+  r.flush = () => {
+    const gl = fx, L = glow.loc;
+    gl.viewport(0, 0, fxCanvas.width, fxCanvas.height);
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    if (!glows) return;
+    gl.viewport(...vp);
+    gl.useProgram(glow.prog);
+    gl.uniform1f(L.u_view_w, viewW);
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.ONE, gl.ONE);
+    gl.bindBuffer(gl.ARRAY_BUFFER, glowBuf);
+    gl.bufferSubData(gl.ARRAY_BUFFER, 0, glowData.subarray(0, glows * GLOW_FLOATS));
+    const stride = 9 * 4;
+    const attr = (name, size, offset) => {
+      gl.enableVertexAttribArray(L[name]);
+      gl.vertexAttribPointer(L[name], size, gl.FLOAT, false, stride, offset * 4);
+    };
+    attr("a_corner", 2, 0);
+    attr("a_center", 2, 2);
+    attr("a_radius", 1, 4);
+    attr("a_color", 4, 5);
+    gl.drawArrays(gl.TRIANGLES, 0, glows * 6);
+    glows = 0;
+  };
+
+  // nothing queued this frame is drawn (e.g. behind the pause overlay)
+  r.dropGlows = () => { glows = 0; };
+
+  const onLost = (e) => { e.preventDefault(); r.lost = true; };
+  bgCanvas.addEventListener("webglcontextlost", onLost);
+  fxCanvas.addEventListener("webglcontextlost", onLost);
+  return r;
+}
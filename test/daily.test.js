@@ -0,0 +1,56 @@
+// test/daily.test.js
+// The daily challenge's day key, seed and modifiers: the same for everybody on a UTC day.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { applyMods, dailyKey, dailyMods, dailySeed, prevDailyKey } from "../src/daily.js";
+import { BASE_PARAMS, DAILY_MODS } from "../src/constants.js";
+
+test("the day key is the UTC date, wherever the player is", () => {
+  assert.equal(dailyKey(new Date("2026-03-01T12:00:00Z")), "2026-03-01");
+  // the same instant seen from either side of the date line
+  assert.equal(dailyKey(new Date("2026-03-01T23:30:00-05:00")), "2026-03-02");
+  assert.equal(dailyKey(new Date("2026-03-02T08:30:00+10:00")), "2026-03-01");
+  assert.equal(dailyKey(new Date("2026-01-05T00:00:00Z")), "2026-01-05");
+});
+
+test("the previous day's key crosses months, years and leap days", () => {
+  assert.equal(prevDailyKey("2026-10-18"), "2026-10-17");
+  assert.equal(prevDailyKey("2026-03-01"), "2026-02-28");
+  assert.equal(prevDailyKey("2028-03-01"), "2028-02-29");
+  assert.equal(prevDailyKey("2027-01-01"), "2026-12-31");
+});
+
+test("each day gets its own fixed seed", () => {
+  assert.equal(dailySeed("2026-10-18"), dailySeed("2026-10-18"));
+  assert.ok(Number.isInteger(dailySeed("2026-10-18")) && dailySeed("2026-10-18") >= 0);
+  const seeds = new Set();
+  for (let d = 1; d <= 28; d++) seeds.add(dailySeed(`2026-02-${String(d).padStart(2, "0")}`));
+  assert.equal(seeds.size, 28);
+});
+
+test("one or two different modifiers a day, the same for everybody", () => {
+  const counts = new Set();
+  for (let key = "2026-10-18", d = 0; d < 60; d++, key = prevDailyKey(key)) {
+    const mods = dailyMods(key);
+    counts.add(mods.length);
+    assert.ok(mods.length === 1 || mods.length === 2, key);
+    assert.equal(new Set(mods.map((m) => m.id)).size, mods.length, `${key}: no repeats`);
+    for (const m of mods) assert.ok(DAILY_MODS.includes(m));
+    assert.deepEqual(dailyMods(key), mods);
+  }
+  assert.deepEqual([...counts].sort(), [1, 2], "both counts show up");
+});
+
+test("modifiers are laid over the run params without touching them", () => {
+  const params = { ...BASE_PARAMS, magnetPx: 104 };
+  const mods = DAILY_MODS.filter((m) => m.id === "no_magnet" || m.id === "double_hazards");
+  const out = applyMods(params, mods);
+  assert.equal(out.magnetPx, 0);
+  assert.equal(out.noMagnet, true);
+  assert.equal(out.hazardMul, 2);
+  assert.equal(out.jumpV, params.jumpV);
+  assert.equal(params.magnetPx, 104);
+  assert.deepEqual(applyMods(params, []), params);
+});
@@ -0,0 +1,102 @@
+// test/fairness.test.js
+// The reachability checker: what advanceFrontier lets through on hand-built stretches of
+// level, and the chunk check / repair it drives during generation.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { advanceFrontier, startFrontier } from "../src/fairness.js";
+import { createRun, spawnChunk } from "../src/sim.js";
+import { BASE_PARAMS, BASE_SPEED, GROUND_Y, HEIGHT, MAX_SPEED, PLAYER_H, STEP_UP, WIDTH } from "../src/constants.js";
+import { rect } from "../src/util.js";
+
+const SPEED = 420;
+const END = 1400;
+
+// flat ground, plus whatever the test adds
+function through({ platforms = [], hazards = [], pits = [] } = {}, speed = SPEED) {
+  return advanceFrontier(startFrontier(), END, speed, { platforms, hazards, pits });
+}
+
+const spike = (x, h) => ({ ...rect(x, GROUND_Y - h, 36, h), kind: "spike" });
+const block = (x, h, extra = {}) => ({ ...rect(x, GROUND_Y - h, END, h), kind: "static", ...extra });   // runs past END
+const pit = (x, w) => rect(x, GROUND_Y, w, HEIGHT - GROUND_Y);
+
+test("open ground gets through, on the ground and in the air", () => {
+  const out = through();
+  assert.ok(out.x >= END);
+  assert.ok(out.states.some((s) => s.ground));
+  assert.ok(out.states.some((s) => !s.ground));
+});
+
+test("a low spike can be jumped, a wall of spikes can't", () => {
+  assert.ok(through({ hazards: [spike(700, 40)] }).states.length > 0);
+  assert.equal(through({ hazards: [spike(700, 400)] }).states.length, 0);
+});
+
+test("a narrow pit can be jumped, a wide one can't", () => {
+  assert.ok(through({ pits: [pit(700, 120)] }).states.length > 0);
+  assert.equal(through({ pits: [pit(700, 600)] }).states.length, 0);
+});
+
+test("a step can be walked onto, a tall block has to be jumped onto", () => {
+  const feet = (s) => Math.floor(s.y) + PLAYER_H;
+  const step = through({ platforms: [block(700, STEP_UP)] });
+  assert.ok(step.states.some((s) => feet(s) === GROUND_Y - STEP_UP), "running along the top");
+  // running into the side of a wall never counts, but jumping up onto it does
+  const tall = through({ platforms: [block(700, 90)] });
+  assert.ok(tall.states.length > 0);
+  assert.ok(tall.states.every((s) => feet(s) <= GROUND_Y - 90));
+  assert.equal(through({ platforms: [block(700, 400)] }).states.length, 0);
+});
+
+test("moving things are judged pessimistically", () => {
+  // a one-way platform over a wide pit is no help (it may have moved or crumbled away)
+  const bridge = block(650, 40, { oneWay: true });
+  assert.equal(through({ platforms: [bridge], pits: [pit(700, 600)] }).states.length, 0);
+  // a saw counts as its whole track
+  const saw = { ...rect(700, GROUND_Y - 44, 44, 44), kind: "saw", bounds: rect(600, GROUND_Y - 400, 400, 400) };
+  assert.equal(through({ hazards: [saw] }).states.length, 0);
+  assert.ok(through({ hazards: [{ ...saw, bounds: undefined }] }).states.length > 0);
+});
+
+test("the frontier picks up where the last one stopped", () => {
+  const world = { platforms: [], hazards: [spike(700, 40)], pits: [] };
+  const half = advanceFrontier(startFrontier(), 650, SPEED, world);
+  const whole = advanceFrontier(half, END, SPEED, world);
+  assert.ok(whole.states.length > 0);
+  assert.equal(advanceFrontier({ x: 650, states: [] }, END, SPEED, world).states.length, 0);
+});
+
+// generates chunks with the camera where the game would be when each one is made
+function generate(run, chunks) {
+  for (let i = 0; i < chunks; i++) {
+    run.cam_x = run.next_spawn_x - WIDTH * 2.2;
+    spawnChunk(run);
+  }
+  return run;
+}
+
+test("generated chunks come out fair at every speed", () => {
+  for (const speed of [BASE_SPEED, 520, MAX_SPEED]) {
+    for (let seed = 1; seed <= 4; seed++) {
+      const run = generate(createRun({ ...BASE_PARAMS, pits: true }, seed, { speed }), 25);
+      assert.deepEqual(run.unfair, [], `seed ${seed} at ${speed}`);
+    }
+  }
+});
+
+test("unwinnable chunks are logged, and repaired when repair is on", () => {
+  // gravity this heavy makes most hazards and pits unjumpable
+  const params = { ...BASE_PARAMS, pits: true, gravityMul: 3, hazardMul: 3 };
+  const raw = generate(createRun(params, 7, { repair: false }), 30);
+  assert.ok(raw.unfair.length > 0);
+  assert.ok(raw.unfair.every((u) => !u.repaired));
+  assert.equal(raw.repairs, 0);
+
+  const fixed = generate(createRun(params, 7), 30);
+  assert.ok(fixed.unfair.length > 0);
+  assert.ok(fixed.unfair.every((u) => u.repaired), "every repair got through");
+  assert.ok(fixed.repairs > 0);
+  assert.ok(fixed.hazards.length < raw.hazards.length);
+});
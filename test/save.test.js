@@ -0,0 +1,243 @@
+// test/save.test.js
+// Save loading: version migrations on the fixture saves in test/fixtures (one per save
+// version), validation against a small stand-in for main.js's catalogs, backups, the
+// fallback for a save that can't be read, and save codes.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+
+import {
+  MIGRATIONS, SAVE_CODE_PREFIX, SAVE_VERSION, SaveError, backupKeys, corruptKey, loadSave, migrateSave, normalizeSave,
+  parseSave, saveFromCode, saveToCode, writeBackup,
+} from "../src/save.js";
+import { fnv1a } from "../src/util.js";
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf8");
+
+const KEY = "save";
+
+// the shape of main.js's defaultSaveData, with only what validation looks at
+function defaults() {
+  return {
+    version: SAVE_VERSION,
+    saved_at: 0,
+    money: 0,
+    best_score: 0,
+    cosmetics: { player: "Sky", platform: "Pearl", spike: "Crimson", background: "Midnight" },
+    owned: { player: ["Sky"], platform: ["Pearl"], spike: ["Crimson"], background: ["Midnight"] },
+    upgrades: { jump: 0, coyote: 0, coin_mult: 0, magnet: 0, shield_time: 0 },
+    settings: {
+      screenshake: true, particles: "high", show_fps: false, pit_mode: false,
+      vol_master: 1, vol_music: 0.6, vol_sfx: 1,
+      colorblind: "off", text_scale: 1, scaling: "smooth", controls: { jump: ["Space"] },
+    },
+    daily: { best: {}, rewarded_day: "", last_day: "", streak: 0 },
+    history: [],
+    lifetime: { runs: 0, score: 0, coins: 0, money: 0, distance: 0, time: 0 },
+    achievements: { progress: {}, unlocked: {}, counters: { jumps: 0, coins: 0, deaths: 0 } },
+    missions: { active: [], completed: 0, score_mul: 1 },
+  };
+}
+
+const SCHEMA = {
+  defaults,
+  cosmetics: {
+    player: { Sky: {}, Neon: {}, Gold: {} },
+    platform: { Pearl: {} },
+    spike: { Crimson: {} },
+    background: { Midnight: {} },
+  },
+  upgrades: { jump: { max: 6 }, coyote: { max: 5 }, coin_mult: { max: 5 }, magnet: { max: 6 }, shield_time: { max: 5 } },
+  achievements: [{ id: "first_run" }],
+  missions: { def: (id) => (id === "coins_50" ? {} : undefined), fill: (active) => active, slots: 3, mulMax: 2 },
+  controls: (raw) => (raw && typeof raw === "object" ? raw : { jump: ["Space"] }),
+  textScales: [1, 1.15, 1.3],
+};
+
+// localStorage stand-in
+function memoryStorage(items = {}) {
+  const map = new Map(Object.entries(items));
+  return {
+    map,
+    getItem: (k) => (map.has(k) ? map.get(k) : null),
+    setItem: (k, v) => map.set(k, String(v)),
+  };
+}
+
+test("there is a migration for every version step", () => {
+  assert.equal(MIGRATIONS.length, SAVE_VERSION - 1);
+});
+
+test("a v1 save (no version number) loads at the current version", () => {
+  const data = parseSave(fixture("save-v1.json"), SCHEMA);
+  assert.equal(data.version, SAVE_VERSION);
+  assert.equal(data.money, 340);
+  assert.equal(data.best_score, 1200);
+  assert.equal(data.cosmetics.player, "Neon");
+  assert.deepEqual(data.owned.player, ["Sky", "Neon"]);
+  assert.equal(data.upgrades.magnet, 3);
+  // on / off particles become a quality level
+  assert.equal(data.settings.particles, "high");
+  assert.equal(data.settings.screenshake, false);
+  // fields v1 never had come from the defaults
+  assert.equal(data.upgrades.shield_time, 0);
+  assert.equal(data.settings.pit_mode, false);
+  assert.deepEqual(data.daily, defaults().daily);
+  assert.deepEqual(data.history, []);
+});
+
+test("a v2 save keeps its progress and turns particles off into the off level", () => {
+  const data = parseSave(fixture("save-v2.json"), SCHEMA);
+  assert.equal(data.version, SAVE_VERSION);
+  assert.equal(data.saved_at, 1760000000000);
+  assert.equal(data.money, 75);
+  assert.equal(data.settings.particles, "off");
+  assert.equal(data.settings.show_fps, true);
+  assert.equal(data.settings.vol_music, 0.4);
+  assert.equal(data.upgrades.shield_time, 2);
+  assert.equal(data.daily.streak, 1);
+  assert.equal(data.daily.best["2026-10-01"], 300);
+  assert.equal(data.history.length, 1);
+  assert.equal(data.lifetime.runs, 1);
+});
+
+test("migrations only run from the save's own version", () => {
+  // a v3 save whose particles happen to be a boolean is left for validation, not migrated
+  const data = migrateSave({ version: 3, settings: { particles: false } });
+  assert.equal(data.settings.particles, false);
+  assert.equal(migrateSave({ version: 2, settings: { particles: false } }).settings.particles, "off");
+});
+
+test("a save from a newer build keeps its version and is read as best we can", () => {
+  const data = parseSave(JSON.stringify({ ...JSON.parse(fixture("save-v2.json")), version: SAVE_VERSION + 2 }), SCHEMA);
+  assert.equal(data.version, SAVE_VERSION + 2);
+  assert.equal(data.money, 75);
+});
+
+test("validation fixes what it can in a current save", () => {
+  const data = parseSave(fixture("save-v3.json"), SCHEMA);
+  assert.equal(data.cosmetics.player, "Gold");
+  // levels clamped to the catalog, unknown and negative ones dropped
+  assert.equal(data.upgrades.jump, 6);
+  assert.equal(data.upgrades.coyote, 0);
+  assert.equal("rocket" in data.upgrades, false);
+  // unknown settings values back to their defaults, volumes clamped
+  assert.equal(data.settings.particles, "high");
+  assert.equal(data.settings.text_scale, 1);
+  assert.equal(data.settings.vol_master, 1);
+  // broken run records and unknown top-level keys go
+  assert.equal(data.history.length, 1);
+  assert.equal("cheats" in data, false);
+});
+
+test("unknown cosmetics are dropped and an unowned one is unequipped", () => {
+  const save = JSON.parse(fixture("save-v2.json"));
+  save.owned.player = ["Sky", "Plaid"];
+  save.owned.spike = [];
+  save.cosmetics.player = "Gold";
+  const data = parseSave(JSON.stringify(save), SCHEMA);
+  assert.deepEqual(data.owned.player, ["Sky"]);
+  assert.deepEqual(data.owned.spike, ["Crimson"], "the default is always owned");
+  assert.equal(data.cosmetics.player, "Sky");
+});
+
+test("a save without usable money or best score is rejected", () => {
+  for (const bad of [{ money: -5, best_score: 0 }, { money: "10", best_score: 0 }, { money: 10, best_score: null }, [], "save"]) {
+    assert.throws(() => parseSave(JSON.stringify(bad), SCHEMA), SaveError, JSON.stringify(bad));
+  }
+  assert.throws(() => parseSave("{money: 1", SCHEMA), SaveError);
+});
+
+test("nothing stored loads the defaults quietly", () => {
+  const { data, notice, error } = loadSave(memoryStorage(), KEY, SCHEMA);
+  assert.deepEqual(data, defaults());
+  assert.equal(notice, undefined);
+  assert.equal(error, undefined);
+});
+
+test("a corrupt save is set aside and the newest good backup restored", () => {
+  const [b0, b1] = backupKeys(KEY);
+  const older = { ...JSON.parse(fixture("save-v2.json")), money: 10, saved_at: 100 };
+  const newer = { ...JSON.parse(fixture("save-v2.json")), money: 20, saved_at: 200 };
+  const storage = memoryStorage({ [KEY]: "{oops", [b0]: JSON.stringify(older), [b1]: JSON.stringify(newer) });
+  const { data, notice, error } = loadSave(storage, KEY, SCHEMA);
+  assert.equal(data.money, 20);
+  assert.match(notice, /restored from a backup/);
+  assert.ok(error instanceof SaveError);
+  assert.equal(storage.getItem(corruptKey(KEY)), "{oops");
+  assert.equal(JSON.parse(storage.getItem(KEY)).money, 20);
+});
+
+test("a corrupt save with no usable backup falls back to the defaults", () => {
+  const storage = memoryStorage({ [KEY]: JSON.stringify({ money: -1 }), [backupKeys(KEY)[0]]: "also broken" });
+  const { data, notice } = loadSave(storage, KEY, SCHEMA);
+  assert.deepEqual(data, defaults());
+  assert.match(notice, /had to be reset/);
+  assert.equal(storage.getItem(corruptKey(KEY)), JSON.stringify({ money: -1 }));
+});
+
+test("errors that aren't about the save are thrown, not treated as corruption", () => {
+  const storage = memoryStorage({ [KEY]: fixture("save-v2.json") });
+  const broken = { ...SCHEMA, controls: () => { throw new TypeError("bug"); } };
+  assert.throws(() => loadSave(storage, KEY, broken), TypeError);
+  assert.equal(storage.getItem(corruptKey(KEY)), null);
+});
+
+test("backups rotate into the older slot, at most every few minutes unless forced", () => {
+  const storage = memoryStorage();
+  const [b0, b1] = backupKeys(KEY);
+  const json = (at) => JSON.stringify({ saved_at: at });
+  const T = 1760000000000, MIN = 60 * 1000;
+  writeBackup(storage, KEY, json(T), T);
+  assert.equal(storage.getItem(b0), json(T));
+  writeBackup(storage, KEY, json(T + MIN), T + MIN);            // too soon
+  assert.equal(storage.getItem(b1), null);
+  writeBackup(storage, KEY, json(T + MIN), T + MIN, true);
+  assert.equal(storage.getItem(b1), json(T + MIN));
+  writeBackup(storage, KEY, json(T + 10 * MIN), T + 10 * MIN);
+  assert.equal(storage.getItem(b0), json(T + 10 * MIN), "the older slot is overwritten");
+  assert.equal(storage.getItem(b1), json(T + MIN));
+});
+
+// a current save with a full run history
+function bigSave() {
+  const data = parseSave(fixture("save-v2.json"), SCHEMA);
+  data.history = Array.from({ length: 120 }, (_, i) => ({
+    at: 1760000000000 + i * 90000, score: 100 + i * 7, coins: i % 30, payout: i % 40, distance: 800 + i * 13,
+    duration: 20 + (i % 50) / 4, cause: i % 3 ? "spike" : "saw", seed: 1000 + i,
+  }));
+  return data;
+}
+
+test("a save code round-trips the whole save, run history included", async () => {
+  const data = bigSave();
+  const code = await saveToCode(data);
+  assert.ok(code.startsWith(`${SAVE_CODE_PREFIX}.`));
+  assert.ok(code.length < JSON.stringify(data).length / 2, `code is ${code.length} chars`);
+  const back = normalizeSave(await saveFromCode(code), SCHEMA);
+  assert.deepEqual(back, { ...data, saved_at: 0 }, "everything but the save time");
+  assert.equal(back.history.length, 120);
+});
+
+test("a save code survives line breaks and spaces from pasting", async () => {
+  const code = await saveToCode(bigSave());
+  const pasted = ` ${code.slice(0, 40)}\n${code.slice(40, 90)}  ${code.slice(90)}\n`;
+  assert.equal((await saveFromCode(pasted)).money, 75);
+});
+
+test("a mistyped or cut-off save code fails its checksum", async () => {
+  const code = await saveToCode(bigSave());
+  const [prefix, body, sum] = code.split(".");
+  const typo = body[20] === "A" ? "B" : "A";
+  await assert.rejects(saveFromCode(`${prefix}.${body.slice(0, 20)}${typo}${body.slice(21)}.${sum}`), /checksum/);
+  await assert.rejects(saveFromCode(`${prefix}.${body.slice(0, -10)}.${sum}`), /checksum/);
+  await assert.rejects(saveFromCode(`${prefix}.${body}`), SaveError);
+  await assert.rejects(saveFromCode(`OTHER1.${body}.${sum}`), /isn't a save code/);
+});
+
+test("codes from before compression still import", async () => {
+  const body = Buffer.from(JSON.stringify({ version: 2, money: 9, best_score: 40 })).toString("base64url");
+  const obj = await saveFromCode(`RUNNER1.${body}.${fnv1a(body).toString(16).padStart(8, "0")}`);
+  assert.equal(normalizeSave(obj, SCHEMA).money, 9);
+});
@@ -0,0 +1,483 @@
+// test/sim.test.js
+// Behavior of the headless run simulation: jumps (buffer, coyote time, cut), landing, the coin
+// magnet, coin / hazard pickups, pits, platform sides, obstacles and zones. Each test clears the
+// generated level around the player and lays out just what it needs, then drives step() at the
+// game's fixed rate; the generation tests call spawnChunk directly.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createRun, spawnChunk, step, zoneAt } from "../src/sim.js";
+import {
+  BASE_PARAMS, BASE_JUMP_BUF, BASE_COYOTE, BASE_SPEED, BAR_MAX_DROP, BAR_MIN_SPEED, CEILING_MIN_SPEED, CRUMBLE_DELAY,
+  GRAVITY, GROUND_Y, HEIGHT, JUMP_CUT_MULT, MAX_SPEED, PLAYER_H, PLAYER_W, PLAYER_X_OFFSET, SAW_MIN_SPEED, SAW_R,
+  SCORE_PER_PX, STEP_UP, WALL_COIN_COST, WALL_KILL_SPEED, WALL_KNOCKBACK, WIDTH, ZONES, ZONE_SCORE,
+} from "../src/constants.js";
+import { rect } from "../src/util.js";
+
+const SIM_DT = 1 / 120;   // main.js's fixed step
+
+const NONE = {};
+const PRESS = { pressed: true, held: true };
+const HOLD = { held: true };
+const RELEASE = { released: true };
+
+// a run on flat ground with nothing else nearby (generation still runs far ahead)
+function flatRun(seed = 1, params = BASE_PARAMS) {
+  const run = createRun(params, seed);
+  run.platforms = [];
+  run.hazards = [];
+  run.coins_list = [];
+  run.powerups = [];
+  run.pits = [];
+  return run;
+}
+
+// steps until pred(run) holds (or max ticks); returns the ticks taken, or -1
+function stepUntil(run, pred, input = NONE, max = 600) {
+  for (let i = 1; i <= max; i++) {
+    step(run, input, SIM_DT);
+    if (pred(run)) return i;
+  }
+  return -1;
+}
+
+const hasEvent = (run, type) => run.events.some((e) => e.type === type);
+const bottom = (run) => run.player.y + run.player.h;
+const playerRight = (run) => run.cam_x + PLAYER_X_OFFSET + PLAYER_W;
+
+test("a press on the ground jumps straight away", () => {
+  const run = flatRun();
+  step(run, PRESS, SIM_DT);
+  assert.ok(hasEvent(run, "jump"));
+  assert.equal(run.on_ground, false);
+  assert.ok(run.vy < 0);
+});
+
+test("a press just before landing is buffered and jumps on touchdown", () => {
+  const run = flatRun();
+  step(run, PRESS, SIM_DT);
+  // falling, and close enough to the ground to land inside the buffer window
+  assert.notEqual(stepUntil(run, (r) => r.vy > 0 && GROUND_Y - bottom(r) < r.vy * BASE_JUMP_BUF * 0.5, HOLD), -1);
+  step(run, PRESS, SIM_DT);
+  assert.ok(!hasEvent(run, "jump"), "no air jump without a power-up");
+  const ticks = stepUntil(run, (r) => hasEvent(r, "jump"));
+  assert.ok(ticks > 0 && ticks * SIM_DT <= BASE_JUMP_BUF, `jumped ${ticks} ticks after landing began`);
+});
+
+test("a press long before landing is forgotten", () => {
+  const run = flatRun();
+  step(run, PRESS, SIM_DT);
+  assert.notEqual(stepUntil(run, (r) => r.vy > 0, HOLD), -1);
+  step(run, PRESS, SIM_DT);
+  // well outside the buffer: lands and keeps running
+  assert.notEqual(stepUntil(run, (r) => hasEvent(r, "land")), -1);
+  for (let i = 0; i < 30; i++) {
+    step(run, NONE, SIM_DT);
+    assert.ok(!hasEvent(run, "jump"));
+  }
+  assert.equal(run.on_ground, true);
+});
+
+// a run that has just dropped off the end of a high ledge, with the ground far below
+function ledgeRun() {
+  const run = flatRun();
+  const ledge = { ...rect(0, GROUND_Y - 200, PLAYER_X_OFFSET + PLAYER_W + 40, 20), kind: "static" };
+  run.platforms.push(ledge);
+  // drop onto it from just above
+  run.py = ledge.y - PLAYER_H - 4;
+  run.player.y = run.py;
+  run.on_ground = false;
+  assert.notEqual(stepUntil(run, (r) => r.ground_plat === ledge), -1, "lands on the ledge");
+  // on_ground flickers while standing on a platform, so wait until actually dropping below it
+  assert.notEqual(stepUntil(run, (r) => bottom(r) > ledge.y), -1, "runs off the ledge");
+  return run;
+}
+
+test("coyote time: a jump shortly after running off a ledge still works", () => {
+  const run = ledgeRun();
+  const wait = Math.floor((BASE_COYOTE * 0.5) / SIM_DT);
+  for (let i = 0; i < wait; i++) step(run, NONE, SIM_DT);
+  step(run, PRESS, SIM_DT);
+  assert.ok(hasEvent(run, "jump"));
+  assert.ok(run.vy < 0);
+});
+
+test("coyote time runs out", () => {
+  const run = ledgeRun();
+  const wait = Math.ceil((BASE_COYOTE * 1.5) / SIM_DT);
+  for (let i = 0; i < wait; i++) step(run, NONE, SIM_DT);
+  step(run, PRESS, SIM_DT);
+  // the press only fills the buffer, which runs out long before the ground
+  assert.ok(!hasEvent(run, "jump"));
+  assert.ok(run.vy > 0);
+});
+
+// highest point (smallest y) reached, releasing the button after holdTicks
+function jumpPeak(holdTicks) {
+  const run = flatRun();
+  step(run, PRESS, SIM_DT);
+  let peak = run.player.y, cut = null;
+  for (let i = 0; i < 240 && !(i > 0 && run.on_ground); i++) {
+    const vyBefore = run.vy;
+    step(run, i === holdTicks ? RELEASE : i < holdTicks ? HOLD : NONE, SIM_DT);
+    if (hasEvent(run, "cut")) cut = { vyBefore, vy: run.vy };
+    peak = Math.min(peak, run.player.y);
+  }
+  return { peak, cut };
+}
+
+test("releasing early cuts the jump short", () => {
+  const full = jumpPeak(1000);
+  const short = jumpPeak(4);
+  assert.equal(full.cut, null);
+  assert.ok(short.cut, "a cut event on release");
+  assert.ok(short.cut.vy > short.cut.vyBefore, "rising speed is cut");
+  assert.ok(Math.abs(short.cut.vy) < Math.abs(short.cut.vyBefore) * (JUMP_CUT_MULT + 0.05));
+  assert.ok(short.peak > full.peak + 40, `short peak ${short.peak} vs full ${full.peak}`);
+});
+
+test("releasing on the way down does nothing", () => {
+  const run = flatRun();
+  step(run, PRESS, SIM_DT);
+  stepUntil(run, (r) => r.vy > 0, HOLD);
+  const vy = run.vy;
+  step(run, RELEASE, SIM_DT);
+  assert.ok(!hasEvent(run, "cut"));
+  assert.ok(run.vy >= vy);
+});
+
+test("lands back on the ground", () => {
+  const run = flatRun();
+  step(run, PRESS, SIM_DT);
+  assert.notEqual(stepUntil(run, (r) => hasEvent(r, "land"), HOLD), -1);
+  const ev = run.events.find((e) => e.type === "land");
+  assert.equal(ev.ground, true);
+  assert.equal(run.on_ground, true);
+  assert.equal(run.vy, 0);
+  assert.equal(bottom(run), GROUND_Y);
+});
+
+test("lands on a platform from above", () => {
+  const run = flatRun();
+  const top = GROUND_Y - 90;
+  const plat = { ...rect(PLAYER_X_OFFSET - 40, top, 900, 20), kind: "static" };
+  run.platforms.push(plat);
+  // start above it and fall
+  run.py = top - PLAYER_H - 60;
+  run.player.y = run.py;
+  run.on_ground = false;
+  assert.notEqual(stepUntil(run, (r) => hasEvent(r, "land")), -1);
+  assert.equal(run.events.find((e) => e.type === "land").ground, false);
+  assert.equal(run.ground_plat, plat);
+  assert.equal(bottom(run), top);
+});
+
+test("running into a coin collects it", () => {
+  const run = flatRun();
+  const coin = rect(Math.floor(playerRight(run)) + 30, GROUND_Y - 40, 18, 18);
+  run.coins_list.push(coin);
+  assert.notEqual(stepUntil(run, (r) => hasEvent(r, "coin")), -1);
+  assert.equal(run.coins_run, 1);
+  assert.ok(!run.coins_list.includes(coin));
+});
+
+test("jumping over a coin misses it", () => {
+  const run = flatRun();
+  run.coins_list.push(rect(Math.floor(playerRight(run)) + 60, GROUND_Y - 24, 18, 18));
+  step(run, PRESS, SIM_DT);
+  stepUntil(run, (r) => hasEvent(r, "land"), HOLD);
+  assert.equal(run.coins_run, 0);
+});
+
+// a coin off (dx, dy) from the player's center; returns it and where it started
+function coinNear(run, dx, dy) {
+  const cx = run.cam_x + PLAYER_X_OFFSET + PLAYER_W / 2 + dx;
+  const cy = run.player.y + PLAYER_H / 2 + dy;
+  const coin = rect(Math.floor(cx - 9), Math.floor(cy - 9), 18, 18);
+  run.coins_list.push(coin);
+  return { coin, x: coin.x, y: coin.y };
+}
+
+test("the Coin Magnet upgrade pulls a coin in", () => {
+  const run = flatRun(1, { ...BASE_PARAMS, magnetPx: 156 });   // the top level
+  const { coin, x, y } = coinNear(run, 80, -60);
+  for (let i = 0; i < 30; i++) step(run, NONE, SIM_DT);
+  assert.ok(coin.x < x - 1, `moved back from ${x} to ${coin.x}`);
+  assert.ok(coin.y > y + 1, `moved down from ${y} to ${coin.y}`);
+});
+
+test("the Magnet power-up pulls a coin near the edge of its radius", () => {
+  const run = flatRun();
+  run.effects.magnet = 5;
+  const { coin, y } = coinNear(run, 100, -140);   // ~172 px out of 180
+  for (let i = 0; i < 30; i++) step(run, NONE, SIM_DT);
+  assert.ok(coin.y > y, `moved down from ${y} to ${coin.y}`);
+});
+
+test("coins outside the magnet stay put", () => {
+  const run = flatRun();
+  const { coin, x, y } = coinNear(run, 300, -100);
+  for (let i = 0; i < 30; i++) step(run, NONE, SIM_DT);
+  assert.deepEqual([coin.x, coin.y], [x, y]);
+});
+
+function spikeAhead(run) {
+  const spike = { ...rect(Math.floor(playerRight(run)) + 40, GROUND_Y - 30, 30, 30), kind: "spike" };
+  run.hazards.push(spike);
+  return spike;
+}
+
+test("running into a spike kills", () => {
+  const run = flatRun();
+  spikeAhead(run);
+  assert.notEqual(stepUntil(run, (r) => r.dead), -1);
+  assert.equal(run.death_cause, "spike");
+  assert.ok(hasEvent(run, "dead"));
+  // a dead run doesn't move on
+  const camX = run.cam_x;
+  step(run, PRESS, SIM_DT);
+  assert.equal(run.cam_x, camX);
+  assert.equal(run.events.length, 0);
+});
+
+test("a shield eats one spike", () => {
+  const run = flatRun();
+  const spike = spikeAhead(run);
+  run.effects.shield = 5;
+  assert.notEqual(stepUntil(run, (r) => hasEvent(r, "shield")), -1);
+  assert.equal(run.dead, false);
+  assert.equal(run.effects.shield, 0);
+  assert.ok(!run.hazards.includes(spike));
+});
+
+test("jumping a spike survives it", () => {
+  const run = flatRun();
+  spikeAhead(run);
+  step(run, PRESS, SIM_DT);
+  stepUntil(run, (r) => hasEvent(r, "land"), HOLD);
+  assert.equal(run.dead, false);
+});
+
+function pitAhead(run, gap, w) {
+  const pit = rect(Math.floor(playerRight(run)) + gap, GROUND_Y, w, HEIGHT - GROUND_Y);
+  run.pits.push(pit);
+  return pit;
+}
+
+test("running into a pit is a fall to the death", () => {
+  const run = flatRun(1, { ...BASE_PARAMS, pits: true });
+  pitAhead(run, 40, 200);
+  assert.notEqual(stepUntil(run, (r) => r.falling), -1);
+  assert.equal(run.dead, false, "not dead until off the bottom of the screen");
+  // a coyote jump may still go off, but there's no ground to come back down on
+  step(run, PRESS, SIM_DT);
+  assert.notEqual(stepUntil(run, (r) => r.dead, HOLD), -1);
+  assert.equal(run.death_cause, "pit");
+  assert.ok(run.player.y > HEIGHT);
+});
+
+test("jumping a pit clears it", () => {
+  const run = flatRun(1, { ...BASE_PARAMS, pits: true });
+  const pit = pitAhead(run, 20, 120);
+  step(run, PRESS, SIM_DT);
+  assert.notEqual(stepUntil(run, (r) => hasEvent(r, "land"), HOLD), -1);
+  assert.ok(run.player.x > pit.x + pit.w - PLAYER_W, "landed past it");
+  assert.equal(run.falling, false);
+  assert.equal(run.dead, false);
+});
+
+test("pits are only generated in pit mode", () => {
+  const count = (pits) => {
+    const run = createRun({ ...BASE_PARAMS, pits }, 3);
+    for (let i = 0; i < 30; i++) { run.cam_x = run.next_spawn_x - WIDTH * 2.2; spawnChunk(run); }
+    return run.pits.length;
+  };
+  assert.equal(count(false), 0);
+  assert.ok(count(true) > 0);
+});
+
+// a static platform starting gap px ahead of the player, h px tall off the ground
+function blockAhead(run, gap, h) {
+  const plat = { ...rect(Math.floor(playerRight(run)) + gap, GROUND_Y - h, 600, h), kind: "static" };
+  run.platforms.push(plat);
+  return plat;
+}
+
+test("a lip no taller than STEP_UP is run up onto", () => {
+  const run = flatRun();
+  const lip = blockAhead(run, 30, STEP_UP);
+  assert.notEqual(stepUntil(run, (r) => r.player.x > lip.x), -1);
+  assert.ok(!hasEvent(run, "wall"));
+  assert.equal(bottom(run), lip.y);
+  for (let i = 0; i < 20; i++) step(run, NONE, SIM_DT);
+  assert.equal(run.dead, false);
+  assert.equal(bottom(run), lip.y, "stays on top");
+});
+
+test("a wall below the kill speed knocks the player back and costs coins", () => {
+  const run = flatRun();
+  run.coins_run = 8;
+  const wall = blockAhead(run, 30, STEP_UP + 40);
+  const speed = run.speed;
+  assert.notEqual(stepUntil(run, (r) => hasEvent(r, "wall")), -1);
+  const ev = run.events.find((e) => e.type === "wall");
+  assert.equal(ev.lost, Math.ceil(8 * WALL_COIN_COST));
+  assert.equal(run.coins_run, 8 - ev.lost);
+  assert.equal(run.speed, BASE_SPEED, "slowed (never below the base speed)");
+  assert.ok(speed < WALL_KILL_SPEED);
+  assert.equal(run.player.x + PLAYER_W, wall.x - WALL_KNOCKBACK);
+  assert.equal(run.dead, false);
+});
+
+test("a wall at the kill speed is fatal", () => {
+  const run = flatRun();
+  run.speed = WALL_KILL_SPEED;
+  blockAhead(run, 30, STEP_UP + 40);
+  assert.notEqual(stepUntil(run, (r) => r.dead), -1);
+  assert.equal(run.death_cause, "wall");
+});
+
+// each chunk's new platform and hazards, generated at a fixed speed from world x startX
+function chunksAt(speed, startX, n, seed = 5, params = BASE_PARAMS) {
+  const run = createRun(params, seed, { speed });
+  if (startX) run.next_spawn_x = startX;
+  const out = [];
+  for (let i = 0; i < n; i++) {
+    run.cam_x = run.next_spawn_x - WIDTH * 2.2;
+    const hazards = run.hazards.length, prevTop = run.last_platform_top;
+    spawnChunk(run);
+    out.push({ platform: run.platforms.at(-1), hazards: run.hazards.slice(hazards), prevTop });
+  }
+  return out;
+}
+
+test("at the base speed there are only spikes and solid platforms", () => {
+  const chunks = chunksAt(BASE_SPEED, 0, 60);
+  assert.ok(chunks.some((c) => c.hazards.length));
+  for (const c of chunks) {
+    assert.equal(c.platform.kind, "static");
+    for (const h of c.hazards) assert.equal(h.kind, "spike");
+  }
+});
+
+test("obstacles unlock with speed", () => {
+  const kindsAt = (speed) => new Set(chunksAt(speed, 0, 80).flatMap((c) => [c.platform.kind, ...c.hazards.map((h) => h.kind)]));
+  const mid = kindsAt(Math.max(BAR_MIN_SPEED, 460));
+  assert.ok(mid.has("crumble") && mid.has("moving") && mid.has("bar"));
+  assert.ok(!mid.has("ceiling") && !mid.has("saw"));
+  assert.ok(kindsAt(CEILING_MIN_SPEED).has("ceiling"));
+  assert.ok(kindsAt(SAW_MIN_SPEED).has("saw"));
+});
+
+test("every zone spawns its own hazard mix", () => {
+  const zoneW = ZONE_SCORE / SCORE_PER_PX;
+  ZONES.forEach((zone, z) => {
+    const kinds = new Set();
+    for (const c of chunksAt(MAX_SPEED, z * zoneW + 2000, 60)) {
+      assert.equal(zoneAt(c.platform.x), z);
+      for (const h of c.hazards) kinds.add(h.kind);
+    }
+    assert.deepEqual([...kinds].sort(), [...zone.hazards].sort(), zone.id);
+  });
+});
+
+test("generated obstacles keep their clearances", () => {
+  for (const c of chunksAt(MAX_SPEED, 0, 200, 11)) {
+    const p = c.platform;
+    if (p.kind === "moving") {
+      assert.equal(p.oneWay, true);
+      assert.ok(p.baseY + p.amp < GROUND_Y - 24, "never bobs into the ground");
+    }
+    if (p.kind === "crumble") assert.equal(p.oneWay, true);
+    for (const h of c.hazards) {
+      const b = h.bounds || h;
+      assert.ok(b.x >= p.x && b.x + b.w <= p.x + p.w, `${h.kind} fits on its platform`);
+      // a bar is never where you'd drop in from well above
+      if (h.kind === "bar") assert.ok(p.y - c.prevTop < BAR_MAX_DROP);
+      if (h.kind === "bar" || h.kind === "ceiling") assert.ok(h.y + h.h <= p.y - PLAYER_H, `${h.kind} leaves headroom`);
+    }
+  }
+});
+
+test("a saw runs back and forth along its track", () => {
+  const run = flatRun();
+  const x0 = 5000, track = 120, cy = GROUND_Y - 14;
+  const saw = {
+    ...rect(x0 - SAW_R, cy - SAW_R, SAW_R * 2, SAW_R * 2), kind: "saw", x0, track, cy, freq: 2, phase: 0,
+    bounds: rect(x0 - SAW_R, cy - SAW_R, track + SAW_R * 2, SAW_R * 2),
+  };
+  run.hazards.push(saw);
+  let lo = Infinity, hi = -Infinity;
+  for (let i = 0; i < 400; i++) {
+    step(run, NONE, SIM_DT);
+    lo = Math.min(lo, saw.x);
+    hi = Math.max(hi, saw.x + saw.w);
+  }
+  assert.ok(lo >= saw.bounds.x - 1e-9 && hi <= saw.bounds.x + saw.bounds.w + 1e-9);
+  assert.ok(hi - lo > track, "covers the whole track");
+});
+
+test("a crumbling platform drops a moment after it's stood on", () => {
+  const run = flatRun();
+  const plat = { ...rect(0, GROUND_Y - 150, PLAYER_X_OFFSET + 2000, 20), kind: "crumble", oneWay: true, crumble_t: -1, fall_vy: 0 };
+  run.platforms.push(plat);
+  run.py = plat.y - PLAYER_H - 4;
+  run.player.y = run.py;
+  run.on_ground = false;
+  assert.notEqual(stepUntil(run, (r) => hasEvent(r, "crumble")), -1);
+  const top = plat.y;
+  for (let i = 0; i < Math.floor(CRUMBLE_DELAY / SIM_DT) - 2; i++) step(run, NONE, SIM_DT);
+  assert.equal(plat.y, top, "holds for CRUMBLE_DELAY");
+  assert.notEqual(stepUntil(run, (r) => plat.y > top + 40), -1);
+  assert.ok(bottom(run) > top + 20, "the player goes down with it");
+});
+
+test("zones change every ZONE_SCORE points of distance and wrap round", () => {
+  const zoneW = ZONE_SCORE / SCORE_PER_PX;
+  assert.equal(zoneAt(-500), 0);
+  assert.equal(zoneAt(0), 0);
+  assert.equal(zoneAt(zoneW - 1), 0);
+  assert.equal(zoneAt(zoneW), 1);
+  assert.equal(zoneAt(zoneW * 3.5), 3);
+  assert.equal(zoneAt(zoneW * ZONES.length), 0);
+  assert.equal(zoneAt(zoneW * (ZONES.length + 2)), 2);
+});
+
+test("crossing into a zone brings its gravity", () => {
+  const run = flatRun();
+  const zoneW = ZONE_SCORE / SCORE_PER_PX;
+  run.cam_x = zoneW * 3 - PLAYER_X_OFFSET - 20;   // the Moon Base is just ahead
+  run.next_spawn_x = run.cam_x + WIDTH * 3;
+  assert.notEqual(stepUntil(run, (r) => r.events.some((e) => e.type === "zone" && e.zone === 3)), -1);
+  assert.equal(run.zone, 3);
+  assert.equal(run.gravity, GRAVITY * ZONES[3].gravityMul);
+});
+
+// Heavy gravity makes most generated hazards unjumpable, so repair has to drop them.
+test("a hazard dropped by repair no longer counts for hazard spacing", () => {
+  let dropped = 0;
+  for (let seed = 1; seed <= 10; seed++) {
+    const run = createRun({ ...BASE_PARAMS, pits: true, gravityMul: 3, hazardMul: 3 }, seed);
+    for (let i = 0; i < 30; i++) {
+      run.cam_x = run.next_spawn_x - WIDTH * 2.2;   // where the game would generate it
+      const hazards = run.hazards.length, pits = run.pits.length, unfair = run.unfair.length, last = run.last_hazard_x;
+      spawnChunk(run);
+      if (run.unfair.length === unfair || run.hazards.length > hazards) continue;
+      dropped++;
+      // back to this chunk's pit if it kept one, else to whatever came before the chunk
+      const pit = run.pits.length > pits ? run.pits.at(-1) : null;
+      assert.equal(run.last_hazard_x, pit ? pit.x + pit.w : last);
+    }
+  }
+  assert.ok(dropped > 20, `only ${dropped} repaired chunks`);
+});
+
+test("the same seed and inputs give the same run", () => {
+  const play = () => {
+    const run = createRun(BASE_PARAMS, 1234);
+    for (let i = 0; i < 1200 && !run.dead; i++) step(run, i % 90 === 0 ? PRESS : NONE, SIM_DT);
+    return [run.ticks, run.score, run.coins_run, run.death_cause, run.cam_x];
+  };
+  assert.deepEqual(play(), play());
+});
@@ -0,0 +1,82 @@
+// test/util.test.js
+// The collision helpers shared by the simulation and the fairness checker: pit overlap and
+// running into the side of a platform.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { collideHorizontal, overPit, rect } from "../src/util.js";
+import { GROUND_Y, PLAYER_H, PLAYER_W, STEP_UP } from "../src/constants.js";
+
+const pit = rect(500, GROUND_Y, 120, 100);
+
+test("over a pit only when entirely inside it", () => {
+  assert.equal(overPit(rect(510, GROUND_Y - 50, 44, 58), [pit]), true);
+  assert.equal(overPit(rect(500, GROUND_Y - 50, 120, 58), [pit]), true, "exactly as wide as the pit");
+  // a foot still on either edge holds you up
+  assert.equal(overPit(rect(499, GROUND_Y - 50, 44, 58), [pit]), false);
+  assert.equal(overPit(rect(577, GROUND_Y - 50, 44, 58), [pit]), false);
+  assert.equal(overPit(rect(100, GROUND_Y - 50, 44, 58), [pit]), false);
+  assert.equal(overPit(rect(510, GROUND_Y - 50, 44, 58), []), false);
+});
+
+test("over any of several pits", () => {
+  const pits = [rect(100, GROUND_Y, 60, 100), pit];
+  assert.equal(overPit(rect(540, 0, 44, 58), pits), true);
+  assert.equal(overPit(rect(110, 0, 44, 58), pits), true);
+  assert.equal(overPit(rect(300, 0, 44, 58), pits), false);
+});
+
+// a player that has just moved from prevX to prevX + dx with its feet at feetY
+function moved(prevX, dx, feetY) {
+  return { player: rect(prevX + dx, feetY - PLAYER_H, PLAYER_W, PLAYER_H), prevX };
+}
+
+const block = (top, kind = "static") => ({ ...rect(300, top, 200, GROUND_Y - top), kind });
+
+test("a lip no taller than STEP_UP is stepped onto", () => {
+  const plat = block(GROUND_Y - STEP_UP);
+  const { player, prevX } = moved(300 - PLAYER_W - 2, 6, GROUND_Y);
+  const x = player.x;
+  assert.deepEqual(collideHorizontal(player, prevX, [plat], STEP_UP), { stepped: true, wall: null });
+  assert.equal(player.y + player.h, plat.y, "feet on top of it");
+  assert.equal(player.x, x, "no slowdown");
+});
+
+test("anything taller is a wall and the player is put flush against it", () => {
+  const plat = block(GROUND_Y - STEP_UP - 1);
+  const { player, prevX } = moved(300 - PLAYER_W - 2, 6, GROUND_Y);
+  const y = player.y;
+  const side = collideHorizontal(player, prevX, [plat], STEP_UP);
+  assert.equal(side.stepped, false);
+  assert.equal(side.wall, plat);
+  assert.equal(player.x + player.w, plat.x);
+  assert.equal(player.y, y);
+});
+
+test("only a side crossed this step counts", () => {
+  const plat = block(GROUND_Y - 100);
+  // already past the edge last step (standing on or inside it)
+  let m = moved(310, 6, GROUND_Y);
+  assert.equal(collideHorizontal(m.player, m.prevX, [plat], STEP_UP), null);
+  // not there yet
+  m = moved(200, 6, GROUND_Y);
+  assert.equal(collideHorizontal(m.player, m.prevX, [plat], STEP_UP), null);
+  // not moving right
+  m = moved(300 - PLAYER_W + 1, 0, GROUND_Y);
+  assert.equal(collideHorizontal(m.player, m.prevX, [plat], STEP_UP), null);
+});
+
+test("passing above or below a platform's side is no hit", () => {
+  const floating = { ...rect(300, GROUND_Y - 200, 200, 20), kind: "static" };
+  let m = moved(300 - PLAYER_W - 2, 6, GROUND_Y);   // runs underneath
+  assert.equal(collideHorizontal(m.player, m.prevX, [floating], STEP_UP), null);
+  m = moved(300 - PLAYER_W - 2, 6, GROUND_Y - 200);   // feet level with the top
+  assert.equal(collideHorizontal(m.player, m.prevX, [floating], STEP_UP), null);
+});
+
+test("one-way platforms have no sides", () => {
+  const plat = { ...block(GROUND_Y - 100), oneWay: true };
+  const { player, prevX } = moved(300 - PLAYER_W - 2, 6, GROUND_Y);
+  assert.equal(collideHorizontal(player, prevX, [plat], STEP_UP), null);
+});